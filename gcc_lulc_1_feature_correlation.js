@@ -4,12 +4,15 @@
  *  Authors: Abhilash Dutta Roy, Midhun Mohan, Aaron Althauser, Amare Gebrie, Meshal Abdullah, Talal Al-Awadhi, Ahmed M El Kenawy
  *  Script Authors: Aaron Althauser &  Abhilash Dutta Roy
  *  
- *  The goal of this script is to build composites of Landsat 7/8 images for the scope of the study's years and region.
- *  Images are exported as GEE assets into the specified project folder for classification.
+ *  The goal of this script is to build composites of Landsat 5/7/8 images for the scope of the study's years and region.
+ *  One composite per year between startYear and endYear is exported as a GEE asset into the project folder of "gcc_lulc_config" for classification.
  */
 
+var config = require('users/aaronalt/gcc_lulc:gcc_lulc_config');
+
 var L8 = ee.ImageCollection("LANDSAT/LC08/C02/T1_L2");
 var L7 = ee.ImageCollection("LANDSAT/LE07/C02/T1_L2");
+var L5 = ee.ImageCollection("LANDSAT/LT05/C02/T1_L2");
 var L7c2raw = ee.ImageCollection("LANDSAT/LE07/C02/T1");
 var dem = ee.Image("NASA/NASADEM_HGT/001");
 
@@ -45,212 +48,645 @@ function maskL7sr(image) {
   return image.updateMask(cloud.not()).updateMask(maskL7);
 }
 
+/**
+ * Masks clouds, cloud shadows and saturated pixels from Landsat 5 images
+ * @param {ee.Image} image - Landsat 5 image
+ * @return {ee.Image} masked image
+ */
+function maskL5sr(image) {
+  var dilatedCloudBitMask = (1 << 1);
+  var cloudsBitMask = (1 << 3);
+  var cloudShadowBitMask = (1 << 4);
+  var qa = image.select('QA_PIXEL');
+  var mask = qa.bitwiseAnd(dilatedCloudBitMask).eq(0)
+                .and(qa.bitwiseAnd(cloudsBitMask).eq(0))
+                .and(qa.bitwiseAnd(cloudShadowBitMask).eq(0));
+  var saturationMask = image.select('QA_RADSAT').eq(0);
+  return image.updateMask(mask).updateMask(saturationMask);
+}
+
+//////////////////////////////
+/* Cross-Sensor Harmonization */
+//////////////////////////////
+
+/* Set to false to keep the raw Collection 2 surface reflectance values */
+var harmonize = true;
+
+/* TM/ETM+ to OLI surface reflectance coefficients (Roy et al. 2016, Table 2 OLS) */
+var tmToOliCoefficients = {
+  bands: ['SR_B1', 'SR_B2', 'SR_B3', 'SR_B4', 'SR_B5', 'SR_B7'],
+  slopes: [0.8474, 0.8483, 0.9047, 0.8462, 0.8937, 0.9071],
+  intercepts: [0.0003, 0.0088, 0.0061, 0.0412, 0.0254, 0.0172]
+};
+
+/**
+ * Scales Collection 2 surface reflectance bands to reflectance
+ * @param {ee.Image} image - Landsat Collection 2 Level 2 image
+ * @param {Array<string>} bands - surface reflectance bands to scale
+ * @return {ee.Image} scaled surface reflectance bands
+ */
+function scaleSR(image, bands) {
+  return image.select(bands).multiply(0.0000275).add(-0.2);
+}
+
+/**
+ * Scales Landsat 8 surface reflectance so it can be compared with harmonized TM/ETM+ images
+ * @param {ee.Image} image - Landsat 8 image
+ * @return {ee.Image} image with scaled surface reflectance bands
+ */
+function harmonizeOLI(image) {
+  var optical = scaleSR(image, ['SR_B1', 'SR_B2', 'SR_B3', 'SR_B4', 'SR_B5', 'SR_B6', 'SR_B7']);
+  return image.addBands(optical, null, true);
+}
+
+/**
+ * Harmonizes Landsat 5 TM and Landsat 7 ETM+ surface reflectance to Landsat 8 OLI
+ * @param {ee.Image} image - Landsat 5 or Landsat 7 image
+ * @return {ee.Image} image with harmonized surface reflectance bands
+ */
+function harmonizeTM(image) {
+  var optical = scaleSR(image, tmToOliCoefficients.bands)
+      .multiply(ee.Image.constant(tmToOliCoefficients.slopes))
+      .add(ee.Image.constant(tmToOliCoefficients.intercepts));
+  return image.addBands(optical, null, true);
+}
+
 //////////////////////////////
 /* Adding Spectral Indices */
 ///////////////////////////////
 
+/* Common band names for the surface reflectance bands of each sensor */
+var commonBands = ['blue', 'green', 'red', 'nir', 'swir1', 'swir2'];
+var bandMaps = {
+  'L5': {blue: 'SR_B1', green: 'SR_B2', red: 'SR_B3', nir: 'SR_B4', swir1: 'SR_B5', swir2: 'SR_B7'},
+  'L7': {blue: 'SR_B1', green: 'SR_B2', red: 'SR_B3', nir: 'SR_B4', swir1: 'SR_B5', swir2: 'SR_B7'},
+  'L8': {blue: 'SR_B2', green: 'SR_B3', red: 'SR_B4', nir: 'SR_B5', swir1: 'SR_B6', swir2: 'SR_B7'}
+};
+
+/* Spectral index registry, formulas are written with the common band names (AVI is 0 where nir <= red, as in its definition) */
+var indexRegistry = [
+  {name: 'NDVI', formula: '(nir - red) / (nir + red)'},
+  {name: 'NDMI', formula: '(swir2 - green) / (swir2 + green)'},
+  {name: 'NDWI', formula: '(green - nir) / (green + nir)'},
+  {name: 'MNDWI', formula: '(green - swir1) / (green + swir1)'},
+  {name: 'SR', formula: 'nir / red'},
+  {name: 'GCVI', formula: '(nir / green) - 1'},
+  {name: 'SAVI', formula: '1.5 * (nir - red) / (nir + red + 0.5)'},
+  {name: 'EVI', formula: '2.5 * (nir - red) / (nir + 6 * red - 7.5 * blue + 1)'},
+  {name: 'CMRI', formula: '(nir - red) / (nir + red) - (green - nir) / (green + nir)'},
+  {name: 'MVI', formula: '(nir - green) / (swir1 - green)'},
+  {name: 'GNDVI', formula: '(nir - green) / (nir + green)'},
+  {name: 'AVI', formula: '(nir - red) > 0 ? (nir * (1 - red) * (nir - red)) ** (1.0 / 3) : 0'},
+  {name: 'MSI', formula: 'swir1 / nir'},
+  {name: 'GCI', formula: '(nir / green) - 1'},
+  {name: 'BSI', formula: '((swir1 + red) - (nir + blue)) / ((swir1 + red) + (nir + blue))'},
+  {name: 'PSRI', formula: '(red - nir) / green'},
+  {name: 'LAI', formula: '3.618 * ((nir - red) / (nir + red)) - 0.118'}
+];
+
+/* Terrain bands added to every composite next to the spectral indices */
+var terrainBands = ['elevation', 'slope'];
+
 /**
- * Adds various spectral indices to Landsat 8 images
- * @param {ee.Image} img - Landsat 8 image
- * @return {ee.Image} image with added indices
+ * Looks up indices in the registry
+ * @param {Array<string>} [indexNames] - names of the requested indices, all indices if omitted
+ * @return {Array<Object>} registry entries in registry order
  */
-var addIndicesL8 = function(img) {
-  var blue = img.select('SR_B2').rename('blue');
-  var green = img.select('SR_B3').rename('green');
-  var red = img.select('SR_B4').rename('red');
-  var nir = img.select('SR_B5').rename('nir');
-  var swir1 = img.select('SR_B6').rename('swir1');
-  var swir2 = img.select('SR_B7').rename('swir2');
-  var ndvi = img.normalizedDifference(['SR_B5', 'SR_B4']).rename('NDVI');
-  var ndmi = img.normalizedDifference(['SR_B7', 'SR_B3']).rename('NDMI');
-  var ndwi = img.normalizedDifference(['SR_B3', 'SR_B5']).rename('NDWI');
-  var mndwi = img.normalizedDifference(['SR_B3', 'SR_B6']).rename('MNDWI');
-  var sr = img.select('SR_B5').divide(img.select('SR_B4')).rename('SR');
-  var ratio54 = img.select('SR_B6').divide(img.select('SR_B5')).rename('R54');
-  var ratio35 = img.select('SR_B4').divide(img.select('SR_B6')).rename('R35');
-  var gcvi = img.expression('(NIR/GREEN)-1', {'NIR': img.select('SR_B5'), 'GREEN': img.select('SR_B3')}).rename('GCVI');
-  var savi = img.expression('1.5 * (NIR - RED) / (NIR + RED + 0.5)', {'NIR': img.select('SR_B5'), 'RED': img.select('SR_B4')}).rename('SAVI');
-  var evi = img.expression('2.5 * (NIR - RED) / (NIR + 6 * RED - 7.5 * BLUE + 1)', {'NIR': img.select('SR_B5'), 'RED': img.select('SR_B4'), 'BLUE': img.select('SR_B2')}).rename('EVI');
-  var cmri = ndvi.subtract(ndwi).rename('CMRI');
-  var mvi = img.expression('(NIR - GREEN) / (SWIR1 - GREEN)', {'NIR': img.select('SR_B5'), 'GREEN': img.select('SR_B3'), 'SWIR1': img.select('SR_B6')}).rename('MVI');
-  var msi = img.expression('(SWIR1) / (NIR)', {'NIR': img.select('SR_B5'), 'SWIR1': img.select('SR_B6')}).rename('MSI');
-  var gci = img.expression('(NIR / GREEN) - 1', {'NIR': img.select('SR_B5'), 'GREEN': img.select('SR_B3')}).rename('GCI');
-  var bsi = img.expression('((SWIR1 + RED)-(NIR + BLUE))/((SWIR1 + RED)+(NIR + BLUE))', {'NIR': img.select('SR_B5'), 'SWIR1': img.select('SR_B6'), 'RED': img.select('SR_B4'), 'BLUE': img.select('SR_B2')}).rename('BSI');
-  var psri = img.expression('(RED - NIR) / GREEN', {'RED': img.select('SR_B4'), 'NIR': img.select('SR_B5'), 'GREEN': img.select('SR_B3')}).rename('PSRI');
-  var lai = ndvi.expression('3.618 * NDVI - 0.118', {'NDVI': ndvi}).rename('LAI');
-  var slope = ee.Terrain.slope(dem);
-
-  return img.addBands([blue, green, red, nir, swir1, swir2, ndvi, ndmi, ndwi, mndwi, sr, gcvi, savi, evi, mvi, msi, gci, bsi, psri, lai, dem, slope.rename('slope')]);
-};
+function getIndices(indexNames) {
+  if (!indexNames) {
+    return indexRegistry;
+  }
+  indexNames.forEach(function(name) {
+    var known = indexRegistry.some(function(index) {
+      return index.name === name;
+    });
+    if (!known) {
+      throw new Error('Unknown spectral index: ' + name);
+    }
+  });
+  return indexRegistry.filter(function(index) {
+    return indexNames.indexOf(index.name) !== -1;
+  });
+}
 
 /**
- * Adds various spectral indices to Landsat 5 images
- * @param {ee.Image} img - Landsat 5 image
- * @return {ee.Image} image with added indices
+ * Lists the band names of a composite built with the requested indices
+ * @param {Array<string>} [indexNames] - names of the requested indices, all indices if omitted
+ * @return {Array<string>} common bands, terrain bands and index names
  */
-var addIndicesL5 = function(img) {
-  var blue = img.select('SR_B1').rename('blue');
-  var green = img.select('SR_B2').rename('green');
-  var red = img.select('SR_B3').rename('red');
-  var nir = img.select('SR_B4').rename('nir');
-  var swir1 = img.select('SR_B5').rename('swir1');
-  var swir2 = img.select('SR_B7').rename('swir2');
-  var ndvi = img.normalizedDifference(['SR_B4', 'SR_B3']).rename('NDVI');
-  var ndmi = img.normalizedDifference(['SR_B7', 'SR_B2']).rename('NDMI');
-  var ndwi = img.normalizedDifference(['SR_B2', 'SR_B4']).rename('NDWI');
-  var mndwi = img.normalizedDifference(['SR_B2', 'SR_B5']).rename('MNDWI');
-  var sr = img.select('SR_B4').divide(img.select('SR_B3')).rename('SR');
-  var gcvi = img.expression('(NIR/GREEN)-1', {'NIR': img.select('SR_B4'), 'GREEN': img.select('SR_B2')}).rename('GCVI');
-  var savi = img.expression('1.5 * (NIR - RED) / (NIR + RED + 0.5)', {'NIR': img.select('SR_B4'), 'RED': img.select('SR_B3')}).rename('SAVI');
-  var evi = img.expression('2.5 * (NIR - RED) / (NIR + 6 * RED - 7.5 * BLUE + 1)', {'NIR': img.select('SR_B4'), 'RED': img.select('SR_B3'), 'BLUE': img.select('SR_B1')}).rename('EVI');
-  var cmri = ndvi.subtract(ndwi).rename('CMRI');
-  var mvi = img.expression('(NIR - GREEN) / (SWIR - GREEN)', {'NIR': img.select('SR_B4'), 'GREEN': img.select('SR_B2'), 'SWIR': img.select('SR_B7')}).rename('MVI');
-  var gndvi = img.expression('(NIR - GREEN) / (GREEN - NIR)', {'NIR': img.select('SR_B4'), 'GREEN': img.select('SR_B3')}).rename('GNDVI');
-  var avi = img.expression('(NIR * (1 - RED) * (NIR - RED))**1/3', {'NIR': img.select('SR_B4'), 'RED': img.select('SR_B3')}).rename('AVI');
-  var msi = img.expression('(SWIR) / (NIR)', {'NIR': img.select('SR_B5'), 'SWIR': img.select('SR_B7')}).rename('MSI');
-  var gci = img.expression('(NIR / GREEN) - 1', {'NIR': img.select('SR_B4'), 'GREEN': img.select('SR_B2')}).rename('GCI');
-  var bsi = img.expression('((SWIR + RED)-(NIR + BLUE))/((SWIR + RED))+(NIR + BLUE)', {'NIR': img.select('SR_B4'), 'SWIR': img.select('SR_B7'), 'RED': img.select('SR_B3'), 'BLUE': img.select('SR_B1')}).rename('BSI');
-  var psri = img.expression('(RED - NIR) / GREEN', {'RED': img.select('SR_B3'), 'NIR': img.select('SR_B4'), 'GREEN': img.select('SR_B2')}).rename('PSRI');
-  var lai = ndvi.expression('3.618 * NDVI - 0.118', {'NDVI': ndvi}).rename('LAI');
-  var slope = ee.Terrain.slope(dem);
-
-  return img.addBands([blue, green, red, nir, swir1, swir2, ndvi, ndmi, ndwi, mndwi, sr, gcvi, savi, evi, cmri, mvi, gndvi, avi, msi, gci, bsi, psri, lai, dem, slope.rename('slope')]);
-};
+function getBandNames(indexNames) {
+  var names = getIndices(indexNames).map(function(index) {
+    return index.name;
+  });
+  return commonBands.concat(terrainBands, names);
+}
+
+/**
+ * Creates a function adding the common bands, the requested spectral indices and
+ * the terrain bands to images of a sensor
+ * @param {string} sensorName - sensor key of bandMaps
+ * @param {Array<string>} [indexNames] - names of the requested indices, all indices if omitted
+ * @return {function(ee.Image): ee.Image} function adding the bands to an image
+ */
+function addIndices(sensorName, indexNames) {
+  var bandMap = bandMaps[sensorName];
+  var indices = getIndices(indexNames);
+  var sensorBands = commonBands.map(function(band) {
+    return bandMap[band];
+  });
+
+  return function(img) {
+    var common = img.select(sensorBands, commonBands).toFloat();
+    var variables = {};
+    commonBands.forEach(function(band) {
+      variables[band] = common.select(band);
+    });
+    var indexImages = indices.map(function(index) {
+      return common.expression(index.formula, variables).rename(index.name);
+    });
+    var slope = ee.Terrain.slope(dem);
+
+    /* Overwrite the common bands of images already renamed to them, as the multi-sensor scenes are */
+    return img.addBands([common, dem.select('elevation'), slope.rename('slope')].concat(indexImages), null, true);
+  };
+}
 
 var correlationMetrics = {};
 
 ///////////////////////////////////////
 /* Adjust Year and Sensor Parameters */
 //////////////////////////////////////
-var sensor = L8;
-var year_ = 2014;
-var year = year_.toString();
-var yearNext = (year_ + 1).toString();
+var startYear = config.startYear;
+var endYear = config.endYear;
 var region = gcc.geometry();
 
-/* Apply filters and masks */
-var l8Masked = L8.filterBounds(region)
-    .filterDate(year, yearNext)
-    .filterMetadata('CLOUD_COVER_LAND', 'less_than', 5)
-    .map(maskL8sr)
-    .map(addIndicesL8);
+/* Collection, cloud filter property, mask and harmonization function for each sensor */
+var sensors = {
+  'L5': {collection: L5, cloudProperty: 'CLOUD_COVER_LAND', maskClouds: maskL5sr, harmonize: harmonizeTM, fillGaps: false},
+  'L7': {collection: L7, cloudProperty: 'CLOUD_COVER', maskClouds: maskL7sr, harmonize: harmonizeTM, fillGaps: true},
+  'L8': {collection: L8, cloudProperty: 'CLOUD_COVER_LAND', maskClouds: maskL8sr, harmonize: harmonizeOLI, fillGaps: false}
+};
+
+/* Band map of the scenes renamed to the common band names, used to composite several sensors together */
+bandMaps.common = {};
+commonBands.forEach(function(band) {
+  bandMaps.common[band] = band;
+});
+
+/* Landsat 7 scenes acquired after the Scan Line Corrector failure have striped gaps */
+var slcOffDate = '2003-05-31';
 
-var l8 = l8Masked.median();
+/* Days searched before and after a Landsat 7 scene for scenes of the same path and row to fill its gaps */
+var gapFillWindow = 32;
+
+/* Per-pixel quality bands exported with every composite */
+var qualityBands = ['observations', 'gapFill'];
 
 /* Function to fill gaps from Landsat 7 SLC error using focal mean */
 function fillGap(image) {
   return image.focal_mean(1.5, 'square', 'pixels', 2).blend(image);
 }
 
-var l7Masked = L7.filterBounds(region)
-                .filterDate(year, yearNext)
-                .filterMetadata('CLOUD_COVER', 'less_than', 5)
-                .map(maskL7sr);  
-var l7compositeMasked = l7Masked.median().clip(region); 
-
-/* Apply fillGap function to Landsat 7 collection */
-var l7Fill = l7Masked.map(fillGap);
-var l7compositeFill = l7Fill.median().clip(region);
-
-var bands = ['blue', 'green', 'red', 'nir', 'swir1', 'swir2', 
-             'elevation', 'NDVI', 'NDMI', 'NDWI', 'SR', 'GCVI', 
-             'SAVI', 'EVI', 'CMRI', 'MVI', 'GNDVI', 'AVI', 'MSI', 
-             'GCI', 'BSI', 'PSRI', 'LAI', 'slope'];
-
-var selectedBands = ['NDVI', 'EVI', 'MVI', 'MSI', 'BSI', 'elevation', 'slope'];
-var image = l8.select(selectedBands).clip(region);
-
-/* Export the image to an asset */
-Export.image.toAsset({
-  image: image.toFloat(),
-  description: 'Processed_L8_' + year,
-  assetId: 'processed_L8_' + year,
-  region: region, 
-  maxPixels: 1e10,
-  scale: 30
-});
+/**
+ * Adds the 'gapFill' band of a scene without filled pixels
+ * @param {ee.Image} image - scene with the common bands
+ * @return {ee.Image} scene with 'gapFill' set to 0 where all common bands are valid
+ */
+function flagObserved(image) {
+  var observed = image.mask().reduce(ee.Reducer.min());
+  return image.addBands(ee.Image(0).toByte().updateMask(observed).rename('gapFill'));
+}
+
+/**
+ * Creates a function filling the SLC-off gaps of a Landsat 7 scene, first from the scenes of the
+ * same path and row closest in time and then with the focal mean of fillGap
+ * @param {ee.ImageCollection} collection - masked and harmonized scenes with the common bands
+ * @return {function(ee.Image): ee.Image} function returning the filled scene with a 'gapFill' band,
+ *     0 where observed, 1 where filled from an adjacent scene and 2 where interpolated
+ */
+function fillGapsFromAdjacent(collection) {
+  /* Fully masked bottom layer so scenes without neighbours still mosaic to the common bands */
+  var emptyScene = ee.Image.constant(commonBands.map(function() {
+    return 0;
+  })).rename(commonBands).toFloat().updateMask(0);
+
+  return function(image) {
+    var date = image.date();
+    var neighbours = collection
+        .filter(ee.Filter.eq('WRS_PATH', image.get('WRS_PATH')))
+        .filter(ee.Filter.eq('WRS_ROW', image.get('WRS_ROW')))
+        .filterDate(date.advance(-gapFillWindow, 'day'), date.advance(gapFillWindow, 'day'))
+        .filter(ee.Filter.neq('system:index', image.get('system:index')))
+        .map(function(other) {
+          return other.set('timeDistance', other.date().difference(date, 'day').abs());
+        })
+        .sort('timeDistance', false);
+
+    /* The closest scene is mosaicked last and ends on top */
+    var adjacent = ee.ImageCollection([emptyScene]).merge(neighbours).mosaic();
+    var filled = fillGap(adjacent.blend(image));
+
+    var observed = image.mask().reduce(ee.Reducer.min());
+    var fromAdjacent = adjacent.mask().reduce(ee.Reducer.min());
+    var gapFill = ee.Image(2).where(fromAdjacent, 1).where(observed, 0)
+        .updateMask(filled.mask().reduce(ee.Reducer.min()))
+        .toByte()
+        .rename('gapFill');
+
+    return ee.Image(filled.addBands(gapFill).copyProperties(image, ['system:time_start']));
+  };
+}
+
+/**
+ * Prepares the masked, harmonized and gap filled scenes of a sensor for a single year
+ * @param {number} year - year of the scenes
+ * @param {string} sensorName - sensor key of the sensors dictionary
+ * @return {ee.ImageCollection} scenes with the common bands and a 'gapFill' band
+ */
+function prepareScenes(year, sensorName) {
+  var sensor = sensors[sensorName];
+  var bandMap = bandMaps[sensorName];
+  var sensorBands = commonBands.map(function(band) {
+    return bandMap[band];
+  });
+  var start = ee.Date.fromYMD(year, 1, 1);
+  var end = start.advance(1, 'year');
+
+  /* Scenes of the adjacent weeks are kept to fill the gaps at the start and end of the year */
+  var masked = sensor.collection.filterBounds(region)
+      .filterDate(start.advance(-gapFillWindow, 'day'), end.advance(gapFillWindow, 'day'))
+      .filterMetadata(sensor.cloudProperty, 'less_than', 5)
+      .map(sensor.maskClouds);
+
+  /* Bring all sensors to OLI-equivalent reflectance so indices compare across years and sensors */
+  if (harmonize) {
+    masked = masked.map(sensor.harmonize);
+  }
+  masked = masked.map(function(img) {
+    return img.select(sensorBands, commonBands).toFloat();
+  });
+
+  var scenes = masked.filterDate(start, end);
+  if (!sensor.fillGaps) {
+    return scenes.map(flagObserved);
+  }
+
+  /* Fill gaps from the Landsat 7 SLC error before computing indices */
+  return scenes.filterDate(start, slcOffDate).map(flagObserved)
+      .merge(scenes.filterDate(slcOffDate, end).map(fillGapsFromAdjacent(masked)));
+}
+
+/**
+ * Builds the masked median composite with spectral indices and quality bands for a single year,
+ * from the sensors of config.sensorsForYear (one sensor unless config.compositingMode is 'merged')
+ * @param {number} year - year of the composite
+ * @return {ee.Image} median composite clipped to the region, with the number of observed scenes
+ *     ('observations') and the gap fill flag of the least filled scene ('gapFill') of each pixel
+ */
+function buildComposite(year) {
+  var sensorNames = config.sensorsForYear(year);
+  var scenes = sensorNames.map(function(name) {
+    return prepareScenes(year, name);
+  }).reduce(function(merged, collection) {
+    return merged.merge(collection);
+  });
+
+  var composite = scenes.select(commonBands).map(addIndices('common', indexNames)).median();
+  var observations = scenes.select('gapFill').map(function(img) {
+    return img.eq(0);
+  }).sum().unmask(0).rename('observations');
+  var gapFill = scenes.select('gapFill').min().rename('gapFill');
+
+  return composite.addBands([observations, gapFill]).set('sensors', config.sensorLabel(year)).clip(region);
+}
+
+/* Indices computed for the correlation analysis, null computes the whole registry */
+var indexNames = null;
+var bands = getBandNames(indexNames);
+
+/* Feature selection: of two bands correlated above the threshold, the lower ranked one is dropped */
+var correlationThreshold = 0.9;
+var bandPriority = config.bandPriority;
+
+/* Set to true to rank the bands by Random Forest importance on the training_data import instead of bandPriority */
+var rankByImportance = false;
+
+/* Indices always exported with the selected bands for the vegetation trend analysis */
+var trendBands = config.trendBands;
+
+/* Correlation coefficient, 'pearson' or 'spearman' (the Spearman reducer reports no p-value) */
+var correlationMethod = 'pearson';
+var correlationReducers = {
+  'pearson': ee.Reducer.pearsonsCorrelation(),
+  'spearman': ee.Reducer.spearmansCorrelation()
+};
 
 /////////////////////////
 /* Feature Correlation */
 /////////////////////////
 
-/* Sample the image */
-var sample = image.sample({
-  region: region,
-  scale: 30,
-  numPixels: 100
-});
+/**
+ * Computes the band correlation matrix of a composite and exports it as a long format CSV file
+ * @param {ee.Image} image - composite with the candidate bands
+ * @param {number} year - year of the composite
+ * @param {string} sensorName - sensor used for the composite
+ * @return {ee.Array} correlation matrix in the order of bands
+ */
+function correlateBands(image, year, sensorName) {
+  /* Sample the image */
+  var sample = image.sample({
+    region: region,
+    scale: 30,
+    numPixels: 100
+  });
 
-/* Function to calculate Pearson's correlation */
-var correlate = ee.Reducer.pearsonsCorrelation();
+  /* Function to calculate Pearson's or Spearman's correlation */
+  var correlate = correlationReducers[correlationMethod];
 
-/* Function to reduce columns */
-var reduced = function(b1, b2) {
-  return sample.reduceColumns(correlate, [b1, b2]);
-};
+  /* Function to reduce columns */
+  var reduced = function(b1, b2) {
+    return sample.reduceColumns(correlate, [b1, b2]);
+  };
 
-/* Calculate correlations */
-var correlations = ee.List(bands).map(function(band) {
-  var correlationsForBand = ee.List(bands).map(function(otherBand) {
-    var correlation = reduced(band, otherBand);
-    return correlation;
+  /* Calculate correlations */
+  var correlations = ee.List(bands).map(function(band) {
+    var correlationsForBand = ee.List(bands).map(function(otherBand) {
+      var correlation = reduced(band, otherBand);
+      return correlation;
+    });
+    return correlationsForBand;
   });
-  return correlationsForBand;
-});
 
-/* Extract correlation values */
-var extractCorrelations = function(item) {
-  return ee.List(item).map(function(dict) {
-    return ee.Dictionary(dict).get('correlation');
+  /* Extract correlation values */
+  var extractCorrelations = function(item) {
+    return ee.List(item).map(function(dict) {
+      return ee.Dictionary(dict).get('correlation');
+    });
+  };
+
+  var correlationsData = correlations.map(extractCorrelations);
+  var correlationArray = ee.Array(correlationsData);
+  var indexedBands = bands.map(function(band, index) {
+    return band + '(' + index + ')';
   });
-};
 
-var correlationsData = correlations.map(extractCorrelations);
-var correlationArray = ee.Array(correlationsData);
-var indexedBands = bands.map(function(band, index) {
-  return band + '(' + index + ')';
-});
+  /* Create the chart */
+  var chart = ui.Chart.array.values({
+    array: correlationArray,
+    axis: 0, 
+    xLabels: indexedBands
+  }).setOptions({
+    title: 'Correlation Heatmap ' + sensorName + ' ' + year,
+    hAxis: {title: 'Bands'},
+    vAxis: {title: 'Correlation'},
+    colors: [
+      '#E0FFFF', '#AFEEEE', '#00CED1', '#4682B4', '#5F9EA0', 
+      '#00FA9A', '#7CFC00', '#ADFF2F', '#FFFF00', '#FFD700', 
+      '#FFA500', '#FF8C00', '#FF4500', '#BDB76B', '#9ACD32', '#6B8E23'
+    ]
+  });
 
-/* Create the chart */
-var chart = ui.Chart.array.values({
-  array: correlationArray,
-  axis: 0, 
-  xLabels: indexedBands
-}).setOptions({
-  title: 'Correlation Heatmap',
-  hAxis: {title: 'Bands'},
-  vAxis: {title: 'Correlation'},
-  colors: [
-    '#E0FFFF', '#AFEEEE', '#00CED1', '#4682B4', '#5F9EA0', 
-    '#00FA9A', '#7CFC00', '#ADFF2F', '#FFFF00', '#FFD700', 
-    '#FFA500', '#FF8C00', '#FF4500', '#BDB76B', '#9ACD32', '#6B8E23'
-  ]
-});
+  /* One labeled row per band pair */
+  var indices = ee.List.sequence(0, bands.length - 1);
+  var features = indices.map(function(i) {
+    return indices.map(function(j) {
+      var stats = ee.Dictionary(ee.List(correlations.get(i)).get(j));
+      return ee.Feature(null, {
+        'band_a': ee.List(bands).get(i),
+        'band_b': ee.List(bands).get(j),
+        'r': stats.get('correlation'),
+        'p_value': ee.Algorithms.If(stats.contains('p-value'), stats.get('p-value'), ''),
+        'n': sample.size(),
+        'method': correlationMethod,
+        'year': year,
+        'sensor': sensorName
+      });
+    });
+  }).flatten();
 
-/* Convert ee.Array to ee.List of lists */
-var listOfLists = correlationArray.toList();
-var features = listOfLists.map(function(list) {
-  return ee.Feature(null, {
-    'correlations': list
+  /* Convert list of features into a FeatureCollection */
+  var featureCollection = ee.FeatureCollection(features);
+
+  /* Export the feature collection as a CSV file */
+  Export.table.toDrive({
+    collection: featureCollection,
+    description: 'ee-chart_correlation_analysis_' + sensorName + '_' + year,
+    folder: config.driveFolder,
+    fileFormat: 'CSV',
+    selectors: ['band_a', 'band_b', 'r', 'p_value', 'n', 'method', 'year', 'sensor']
   });
-});
 
-/* Convert list of features into a FeatureCollection */
-var featureCollection = ee.FeatureCollection(features);
+  return correlationArray;
+}
 
-/* Export the feature collection as a CSV file */
-Export.table.toDrive({
-  collection: featureCollection,
-  description: 'ee-chart_correlation_analysis_L8_' + year,
-  fileFormat: 'CSV'
-});
+///////////////////////
+/* Feature Selection */
+///////////////////////
 
-correlationMetrics[year_] = {
-  'PCAimage': pcImage,
-  'eigenVectors': eigenVecs,
-  'eigenValues': eigenVals,
-  'scale': scale,
-  'bandNames': bandNames,
-  'covarMatrix': covarMatrix,
-  'corrMatrix': corrMatrix
-};
+/**
+ * Ranks the candidate bands for feature selection, either by bandPriority followed by the
+ * remaining bands in registry order or by Random Forest importance
+ * @param {ee.Image} composite - composite with the candidate bands
+ * @return {ee.List} band names, highest ranked first
+ */
+function rankBands(composite) {
+  if (!rankByImportance) {
+    var remaining = bands.filter(function(band) {
+      return bandPriority.indexOf(band) === -1;
+    });
+    return ee.List(bandPriority.concat(remaining));
+  }
+
+  var samples = composite.select(bands).sampleRegions({
+    collection: training_data,
+    properties: ['landcover'],
+    scale: 30
+  });
+  var trainedRF = ee.Classifier.smileRandomForest(100).train({
+    features: samples,
+    classProperty: 'landcover',
+    inputProperties: bands
+  });
+  var importance = ee.Dictionary(trainedRF.explain().get('importance'));
+  return importance.keys().sort(importance.values()).reverse();
+}
+
+/**
+ * Selects uncorrelated bands from the Pearson matrix. Bands are visited in rank order and kept
+ * unless their |r| with an already kept band exceeds correlationThreshold.
+ * @param {ee.Array} correlationArray - correlation matrix in the order of bands
+ * @param {ee.List} ranking - band names, highest ranked first
+ * @return {ee.List} selected band names in rank order
+ */
+function selectBands(correlationArray, ranking) {
+  var bandList = ee.List(bands);
+  return ee.List(ranking.iterate(function(band, kept) {
+    kept = ee.List(kept);
+    var i = bandList.indexOf(band);
+    var maxCorrelation = kept.map(function(other) {
+      return correlationArray.get([i, bandList.indexOf(other)]).abs();
+    }).add(0).reduce(ee.Reducer.max());
+    return ee.Algorithms.If(ee.Number(maxCorrelation).lte(correlationThreshold), kept.add(band), kept);
+  }, ee.List([])));
+}
+
+/**
+ * Exports the selected bands as a manifest read by the classification script
+ * @param {ee.List} selectedBands - selected band names in rank order
+ * @param {number} year - year of the composite
+ * @param {string} sensorName - sensor used for the composite
+ */
+function exportBandManifest(selectedBands, year, sensorName) {
+  var manifest = ee.FeatureCollection(ee.List.sequence(0, selectedBands.size().subtract(1)).map(function(rank) {
+    return ee.Feature(null, {
+      'band': selectedBands.get(rank),
+      'rank': rank,
+      'year': year,
+      'sensor': sensorName,
+      'threshold': correlationThreshold
+    });
+  }));
+
+  Export.table.toAsset({
+    collection: manifest,
+    description: 'Band_manifest_' + sensorName + '_' + year,
+    assetId: config.assetId(config.bandManifestName(year))
+  });
+}
+
+//////////////////////////////////
+/* Principal Component Analysis */
+//////////////////////////////////
+
+/* Scale of the covariance estimate and number of components exported for classification */
+var pcaScale = 300;
+var numComponents = config.numComponents;
+
+/* Set to false to decompose the covariance instead of the correlation matrix */
+var standardizePCA = true;
+
+/**
+ * Runs a principal component analysis of a composite and exports the components and loadings
+ * @param {ee.Image} image - composite with the candidate bands
+ * @param {Array<string>} bandNames - band names of the composite
+ * @param {number} year - year of the composite
+ * @param {string} sensorName - sensor used for the composite
+ * @return {Object} PCA image, eigen decomposition, covariance and correlation matrices
+ */
+function principalComponents(image, bandNames, year, sensorName) {
+  var pcNames = bandNames.map(function(band, index) {
+    return 'pc' + (index + 1);
+  });
+
+  /* Center the bands on their regional means */
+  var means = image.reduceRegion({
+    reducer: ee.Reducer.mean(),
+    geometry: region,
+    scale: pcaScale,
+    maxPixels: 1e10,
+    bestEffort: true
+  });
+  var centered = image.subtract(ee.Image.constant(means.values(bandNames)));
+
+  /* Covariance matrix and the correlation matrix derived from it */
+  var covariance = centered.toArray().reduceRegion({
+    reducer: ee.Reducer.centeredCovariance(),
+    geometry: region,
+    scale: pcaScale,
+    maxPixels: 1e10,
+    bestEffort: true
+  });
+  var covarMatrix = ee.Array(covariance.get('array'));
+  var stdDevs = covarMatrix.matrixDiagonal().sqrt();
+  var corrMatrix = covarMatrix.divide(stdDevs.matrixMultiply(stdDevs.transpose()));
+
+  /* Standardized bands have the correlation matrix as their covariance matrix */
+  var scaled = centered;
+  var decomposed = covarMatrix;
+  if (standardizePCA) {
+    scaled = centered.divide(ee.Image.constant(stdDevs.project([0]).toList()));
+    decomposed = corrMatrix;
+  }
+
+  /* Eigen decomposition, rows are sorted by descending eigenvalue */
+  var eigens = decomposed.eigen();
+  var eigenVals = eigens.slice(1, 0, 1);
+  var eigenVecs = eigens.slice(1, 1);
+  var explainedVariance = eigenVals.divide(eigenVals.reduce(ee.Reducer.sum(), [0]).get([0, 0]));
+  var cumulativeVariance = explainedVariance.accum(0);
+
+  /* Project the pixels onto the eigenvectors */
+  var pcImage = ee.Image(eigenVecs)
+      .matrixMultiply(scaled.toArray().toArray(1))
+      .arrayProject([0])
+      .arrayFlatten([pcNames]);
+
+  /* Export the leading components as an alternative feature set for classification */
+  Export.image.toAsset({
+    image: pcImage.select(pcNames.slice(0, numComponents)).toFloat(),
+    description: 'PCA_' + sensorName + '_' + year,
+    assetId: config.assetId(config.pcaName(year)),
+    region: region,
+    maxPixels: 1e10,
+    scale: 30
+  });
+
+  /* One row per component with its eigenvalue, explained variance and band loadings */
+  var loadings = ee.List.sequence(0, bandNames.length - 1).map(function(i) {
+    i = ee.Number(i).int();
+    var loading = eigenVecs.slice(0, i, i.add(1)).project([1]).toList();
+    return ee.Feature(null, ee.Dictionary.fromLists(bandNames, loading)).set({
+      'component': ee.String('pc').cat(i.add(1).format('%d')),
+      'eigenvalue': eigenVals.get([i, 0]),
+      'explainedVariance': explainedVariance.get([i, 0]),
+      'cumulativeVariance': cumulativeVariance.get([i, 0]),
+      'year': year,
+      'sensor': sensorName
+    });
+  });
+
+  /* Export the eigenvalues and loadings as a CSV file */
+  Export.table.toDrive({
+    collection: ee.FeatureCollection(loadings),
+    description: 'pca_loadings_' + sensorName + '_' + year,
+    folder: config.driveFolder,
+    fileFormat: 'CSV'
+  });
+
+  return {
+    'PCAimage': pcImage,
+    'eigenVectors': eigenVecs,
+    'eigenValues': eigenVals,
+    'explainedVariance': explainedVariance,
+    'scale': pcaScale,
+    'bandNames': bandNames,
+    'covarMatrix': covarMatrix,
+    'corrMatrix': corrMatrix
+  };
+}
+
+////////////////
+/* Batch Run */
+////////////////
+
+/* Queue the composite, correlation, band manifest and PCA exports for every year */
+for (var year_ = startYear; year_ <= endYear; year_++) {
+  var sensorName = config.sensorLabel(year_);
+  var composite = buildComposite(year_);
+  var correlationArray = correlateBands(composite.select(bands), year_, sensorName);
+  var selectedBands = selectBands(correlationArray, rankBands(composite));
+  var image = composite.select(selectedBands.cat(trendBands).distinct()).addBands(composite.select(qualityBands));
+  exportBandManifest(selectedBands, year_, sensorName);
+
+  /* Export the image to an asset */
+  Export.image.toAsset({
+    image: image.toFloat(),
+    description: 'Processed_' + sensorName + '_' + year_,
+    assetId: config.assetId(config.processedName(year_)),
+    region: region, 
+    maxPixels: 1e10,
+    scale: 30
+  });
+
+  correlationMetrics[year_] = principalComponents(composite.select(bands), bands, year_, sensorName);
+}
@@ -4,151 +4,755 @@
  *  Authors: Abhilash Dutta Roy, Midhun Mohan, Aaron Althauser, Amare Gebrie, Meshal Abdullah, Talal Al-Awadhi, Ahmed M El Kenawy
  *  Script Authors: Aaron Althauser &  Abhilash Dutta Roy
  *  
- *  The goal of this script is to classify yearly image composites into identified classes using the Random Forest algorithm.
+ *  The goal of this script is to classify yearly image composites into identified classes using the Random Forest algorithm,
+ *  compared against Gradient Tree Boost, SVM, CART and their majority vote.
  *  Image composites are taken from the corresponding script "1_GCC_LULC_featureCorrelation". Images are exported as GEE assets for area computation.
  */
 
+// Load the shared configuration
+var config = require('users/aaronalt/gcc_lulc:gcc_lulc_config');
+
 // Define the year and sensor used for the analysis
 var year = 2016;
-var sensor = 'L8';
+var sensor = config.sensorLabel(year);
 var region = gcc.geometry() // Define study region boundaries through imports
 
+// Choose the feature set exported by script 1: 'indices' for the processed composite, 'pca' for its principal components
+var featureSet = 'indices';
+
 // Clip the image to the region of interest
-var imageString = 'path/to/your/image' + year;
+var imageString = config.assetId(featureSet === 'pca' ? config.pcaName(year) : config.processedName(year));
 var composite = ee.Image(imageString);
 var image = composite.clip(region);
 
 // Assemble the training data from various classes
 var classes = training_data
 
-// Add training samples to the map for visualization
-Map.addLayer(classes, {
-  palette: ['FF0000', '#7CFC00'],
-  min: 1, max: 8
-}, 'training_samples');
+// Define the bands to be included in the model, read from the band manifest exported by script 1
+var manifestString = config.assetId(config.bandManifestName(year));
+var bands = ee.FeatureCollection(manifestString).sort('rank').aggregate_array('band');
+if (featureSet === 'pca') {
+  bands = ee.List(config.pcaBands());
+}
+
+////////////////////////////////////////  
+/*    Training Data Validation    */
+////////////////////////////////////////
+
+// Minimum area in square meters of an overlap between polygons with different labels to be reported
+var minOverlapArea = 900;
+
+// Polygons whose mean spectrum lies more than outlierThreshold standard deviations from the mean
+// of their class in any band are reported as spectral outliers, and removed if dropOutliers is true
+var outlierThreshold = 3;
+var dropOutliers = false;
+
+// Stop the script before training when the report contains fatal issues
+var stopOnFatal = true;
 
 /**
- * Function to convert 'landcover' property to float
+ * Function to parse the 'landcover' property on the server, whether it was stored as a number or a string
  * @param {ee.Feature} feature - feature with 'landcover' property
- * @return {ee.Feature} feature with 'landcover' property converted to float
+ * @return {ee.Feature} feature with numeric 'landcover' (-1 if not numeric) and 'validLabel' flag
  */
-var convertLandcoverToFloat = function(feature) {
-  var landcover = feature.get('landcover');
+var parseLandcover = function(feature) {
+  var raw = feature.get('landcover');
+  var text = ee.String(ee.Algorithms.String(ee.Algorithms.If(ee.Algorithms.IsEqual(raw, null), '', raw))).trim();
+  var numeric = text.match('^-?[0-9]+(\\.[0-9]+)?$').length().gt(0);
+  var landcover = ee.Number.parse(ee.Algorithms.If(numeric, text, '-1'));
+  var whole = landcover.eq(landcover.round());
+  var validLabel = whole.and(ee.List(config.classValues).contains(landcover.int()));
 
-  // Check if landcover is a string, convert it to number if true
-  if (typeof landcover === 'string') {
-    landcover = ee.Number.parse(landcover);
-  }
+  return feature.set({
+    'landcover': ee.Algorithms.If(whole, landcover.int(), landcover),
+    'landcoverRaw': text,
+    'validLabel': validLabel
+  });
+};
+
+/**
+ * Function to check the geometry of a training polygon
+ * @param {ee.Feature} feature - training feature
+ * @return {ee.Feature} feature with 'emptyGeometry', 'invalidGeometry', 'insideRegion' and 'partlyOutside' flags
+ */
+var checkGeometry = function(feature) {
+  var geometry = feature.geometry();
+  var type = geometry.type();
+  var empty = geometry.coordinates().flatten().size().eq(0);
+  var polygonal = ee.List(['Polygon', 'MultiPolygon']).contains(type);
+  var pointLike = ee.List(['Point', 'MultiPoint']).contains(type);
+
+  // Lines and collapsed polygons cannot be sampled
+  var invalid = empty.not().and(pointLike.not().and(polygonal.not().or(geometry.area(1).lt(1))));
+
+  return feature.set({
+    'emptyGeometry': empty,
+    'invalidGeometry': invalid,
+    'insideRegion': geometry.intersects(region, 1),
+    'partlyOutside': geometry.containedIn(region, 1).not()
+  });
+};
+
+var checkedPolygons = classes.map(parseLandcover).map(checkGeometry);
 
-  // Convert to float (if not already parsed correctly)
-  var landcoverFloat = ee.Number(landcover);
+// Add training samples to the map for visualization, painted with their class colors
+Map.addLayer(ee.Image().byte().paint(checkedPolygons, 'landcover'), config.classVis, 'training_samples');
+var sampleablePolygons = checkedPolygons
+  .filter(ee.Filter.eq('validLabel', true))
+  .filter(ee.Filter.eq('emptyGeometry', false))
+  .filter(ee.Filter.eq('invalidGeometry', false));
 
-  return feature.set('landcover', landcoverFloat);
+// Pair every polygon with the polygons of another class it intersects
+var overlapJoin = ee.Join.saveAll('overlaps').apply({
+  primary: sampleablePolygons,
+  secondary: sampleablePolygons,
+  condition: ee.Filter.and(
+    ee.Filter.intersects({leftField: '.geo', rightField: '.geo', maxError: 1}),
+    ee.Filter.notEquals({leftField: 'landcover', rightField: 'landcover'})
+  )
+});
+
+// Area shared with differently labeled polygons, edges that only touch have no area
+var conflictingPolygons = overlapJoin.map(function(feature) {
+  var overlapArea = ee.List(feature.get('overlaps')).map(function(other) {
+    return feature.geometry().intersection(ee.Feature(other).geometry(), 1).area(1);
+  }).reduce(ee.Reducer.sum());
+  return feature.set('overlapArea', overlapArea);
+}).filter(ee.Filter.gte('overlapArea', minOverlapArea));
+
+// Number of valid pixels and mean spectrum of each polygon inside the region
+var validPixels = image.select(bands).mask().reduce(ee.Reducer.min()).selfMask();
+var polygonStats = image.select(bands).reduceRegions({
+  collection: validPixels.reduceRegions({
+    collection: sampleablePolygons.filter(ee.Filter.eq('insideRegion', true)),
+    reducer: ee.Reducer.count().setOutputs(['pixels']),
+    scale: 30,
+    tileScale: 4
+  }),
+  reducer: ee.Reducer.mean(),
+  scale: 30,
+  tileScale: 4
+});
+var sampledPolygons = polygonStats.filter(ee.Filter.gt('pixels', 0));
+
+/**
+ * Function to compute the largest absolute z-score of the polygon means against the polygons of their class
+ * @param {ee.FeatureCollection} polygons - polygons with 'landcover' and one mean property per band
+ * @return {ee.FeatureCollection} polygons with 'maxZ' property
+ */
+var scoreOutliers = function(polygons) {
+  var classStats = ee.Dictionary.fromLists(
+    ee.List(config.classValues).map(function(value) {
+      return ee.Number(value).format('%d');
+    }),
+    ee.List(config.classValues).map(function(value) {
+      var classPolygons = polygons.filter(ee.Filter.eq('landcover', value));
+      return ee.Dictionary.fromLists(bands, bands.map(function(band) {
+        return classPolygons.reduceColumns(
+          ee.Reducer.mean().combine(ee.Reducer.stdDev(), null, true),
+          ee.List([band])
+        );
+      }));
+    })
+  );
+
+  return polygons.map(function(feature) {
+    var stats = ee.Dictionary(classStats.get(ee.Number(feature.get('landcover')).int().format('%d')));
+    var maxZ = bands.map(function(band) {
+      var bandStats = ee.Dictionary(stats.get(band));
+      var stdDev = ee.Number(bandStats.get('stdDev', 0)).max(1e-6);
+      return ee.Number(feature.get(band)).subtract(ee.Number(bandStats.get('mean'))).abs().divide(stdDev);
+    }).reduce(ee.Reducer.max());
+    return feature.set('maxZ', maxZ);
+  });
 };
 
-// Apply the conversion function to each feature in the collection
-var updatedFeatureCollection = classes.map(convertLandcoverToFloat);
-print(updatedFeatureCollection);
+var scoredPolygons = scoreOutliers(sampledPolygons);
+var outlierPolygons = scoredPolygons.filter(ee.Filter.gt('maxZ', outlierThreshold));
+
+/**
+ * Function to turn the features failing a check into report rows
+ * @param {ee.FeatureCollection} collection - features failing the check
+ * @param {string} check - name of the check
+ * @param {string} severity - 'fatal' or 'warning'
+ * @param {string} valueProperty - property reported as the value of the issue
+ * @return {ee.FeatureCollection} report rows
+ */
+var issueRows = function(collection, check, severity, valueProperty) {
+  return collection.map(function(feature) {
+    return ee.Feature(null, {
+      'check': check,
+      'severity': severity,
+      'feature': feature.get('system:index'),
+      'landcover': feature.get('landcoverRaw'),
+      'value': feature.get(valueProperty)
+    });
+  });
+};
+
+// Per-class polygon and pixel counts, a class without sampled pixels is a warning
+var classRows = ee.FeatureCollection(ee.List(config.classValues).map(function(value) {
+  var pixels = sampledPolygons.filter(ee.Filter.eq('landcover', value)).aggregate_sum('pixels');
+  return ee.Feature(null, {
+    'check': 'classCounts',
+    'severity': ee.Algorithms.If(ee.Number(pixels).gt(0), 'info', 'warning'),
+    'feature': ee.Dictionary(config.classes).get(ee.Number(value).format('%d')),
+    'landcover': value,
+    'polygons': sampleablePolygons.filter(ee.Filter.eq('landcover', value)).size(),
+    'pixels': pixels
+  });
+}));
+
+var qaReport = issueRows(checkedPolygons.filter(ee.Filter.eq('validLabel', false)), 'invalidLandcover', 'fatal', 'landcoverRaw')
+  .merge(issueRows(checkedPolygons.filter(ee.Filter.eq('emptyGeometry', true)), 'emptyGeometry', 'fatal', 'emptyGeometry'))
+  .merge(issueRows(checkedPolygons.filter(ee.Filter.eq('invalidGeometry', true)), 'invalidGeometry', 'fatal', 'invalidGeometry'))
+  .merge(issueRows(conflictingPolygons, 'conflictingOverlap', 'fatal', 'overlapArea'))
+  .merge(issueRows(sampleablePolygons.filter(ee.Filter.eq('insideRegion', false)), 'outsideRegion', 'warning', 'insideRegion'))
+  .merge(issueRows(sampleablePolygons.filter(ee.Filter.eq('partlyOutside', true)), 'partlyOutsideRegion', 'warning', 'partlyOutside'))
+  .merge(issueRows(polygonStats.filter(ee.Filter.eq('pixels', 0)), 'noPixels', 'warning', 'pixels'))
+  .merge(issueRows(outlierPolygons, 'spectralOutlier', 'warning', 'maxZ'))
+  .merge(classRows);
+print('Training data QA report', qaReport);
+
+// Export the QA report as a CSV file
+Export.table.toDrive({
+  collection: qaReport,
+  description: 'training_qa_' + year,
+  folder: config.driveFolder,
+  fileFormat: 'CSV',
+  selectors: ['check', 'severity', 'feature', 'landcover', 'value', 'polygons', 'pixels']
+});
+
+// Stop before training when fatal issues were found, the report export is still queued
+var fatalCount = qaReport.filter(ee.Filter.eq('severity', 'fatal')).size().getInfo();
+if (stopOnFatal && fatalCount > 0) {
+  throw new Error('Training data validation found ' + fatalCount + ' fatal issues, see the training_qa_' + year + ' report');
+}
+
+// Train on the polygons with pixels inside the region, without the spectral outliers if requested
+var validatedPolygons = scoredPolygons;
+if (dropOutliers) {
+  validatedPolygons = scoredPolygons.filter(ee.Filter.lte('maxZ', outlierThreshold));
+}
+var updatedFeatureCollection = validatedPolygons.select(['landcover']);
+print('Validated training polygons', updatedFeatureCollection.size());
+
+// Train/test split mode: 'pixel' splits the sampled pixels at random, 'polygon' assigns whole
+// training polygons to one side and 'block' assigns spatial grid blocks of blockSize meters to one side
+var splitMode = 'polygon';
+var blockSize = 5000;
 
-// Define the bands to be included in the model
-var bands = ['NDVI', 'EVI', 'MVI', 'MSI', 'elevation', 'slope'];
+// Attach the random value used for the split to the polygons or to the grid blocks
+var samplingImage = image;
+var labeledPolygons = updatedFeatureCollection;
+var sampleProperties = ['landcover'];
+if (splitMode === 'polygon') {
+  labeledPolygons = updatedFeatureCollection.randomColumn('random', 100);
+  sampleProperties = ['landcover', 'random'];
+} else if (splitMode === 'block') {
+  var blockRandom = ee.Image.random(100).rename('random').reproject({crs: 'EPSG:3857', scale: blockSize});
+  samplingImage = image.addBands(blockRandom);
+}
 
 // Assemble samples for the model
-var samples = image.sampleRegions({
-  collection: updatedFeatureCollection,
-  properties: ['landcover'],
+var samples = samplingImage.sampleRegions({
+  collection: labeledPolygons,
+  properties: sampleProperties,
   scale: 30,
   geometries: true
-}).randomColumn('random', 100, 'normal');
+});
+if (splitMode === 'pixel') {
+  samples = samples.randomColumn('random', 100);
+}
 print('samples ', samples.first());
 
 // Split training data for testing
 var split = 0.7;
 var training = samples.filter(ee.Filter.lt('random', split));
 var testing = samples.filter(ee.Filter.gte('random', split));
-var trainFeatures = training.select([
-  'NDVI', 'EVI', 'MVI', 'MSI', 'elevation', 'slope', 'landcover'
-]);
-
-// Get an array of 'landcover' values from the training dataset
-var landcoverValues = training.aggregate_array('landcover');
-
-// Function to count occurrences of each class
-landcoverValues.evaluate(function(values) {
-  var counts = {};
-  var trainSampleCounts = {};
-  values.forEach(function(value) {
-    counts[value] = (counts[value] || 0) + 1;
-  });
 
-  // Print the number of samples per class in the training set
-  for (var key in counts) {
-    if (counts.hasOwnProperty(key)) {
-      trainSampleCounts[key] = counts[key];
-      print(key, counts[key]);
+// Report the class balance on each side of the split
+var trainClassCounts = training.aggregate_histogram('landcover');
+var testClassCounts = testing.aggregate_histogram('landcover');
+print('Training samples per class', trainClassCounts);
+print('Testing samples per class', testClassCounts);
+var trainFeatures = training.select(bands.add('landcover'));
+
+////////////////////////////////////////  
+/*    Class Balancing    */
+////////////////////////////////////////
+
+// Class balancing of the training samples: 'none', 'undersample' caps each class at classCap samples,
+// 'oversample' replicates or subsamples each class to classTarget samples and 'weights' replicates the
+// samples of each class by its integer weight, as smileRandomForest does not take sample weights
+var balanceStrategy = 'none';
+var classCap = 5000;
+var classTarget = 2000;
+var classWeights = {1: 3, 5: 3};
+
+/**
+ * Function to balance the number of samples per class with the configured strategy
+ * @param {ee.FeatureCollection} collection - samples with 'landcover' property
+ * @return {ee.FeatureCollection} balanced samples
+ */
+var balanceSamples = function(collection) {
+  if (balanceStrategy === 'none') {
+    return collection;
+  }
+  var classValues = collection.aggregate_array('landcover').distinct();
+
+  return ee.FeatureCollection(classValues.map(function(value) {
+    var classSamples = collection.filter(ee.Filter.eq('landcover', value)).randomColumn('balanceRandom', 300);
+    if (balanceStrategy === 'undersample') {
+      return classSamples.limit(classCap, 'balanceRandom');
     }
+
+    var copies;
+    var remainder = 0;
+    if (balanceStrategy === 'oversample') {
+      var count = classSamples.size();
+      copies = ee.Number(classTarget).divide(count).floor();
+      remainder = ee.Number(classTarget).subtract(copies.multiply(count));
+    } else {
+      copies = ee.Dictionary(classWeights).get(ee.Number(value).int().format('%d'), 1);
+    }
+    return ee.FeatureCollection(ee.List.repeat(classSamples, copies)).flatten()
+        .merge(classSamples.limit(remainder, 'balanceRandom'));
+  })).flatten();
+};
+
+var balancedTrainFeatures = balanceSamples(trainFeatures);
+var balancedTrainClassCounts = balancedTrainFeatures.aggregate_histogram('landcover');
+print('Balanced training samples per class', balancedTrainClassCounts);
+
+////////////////////////////////////////  
+/*    Cross-Validation    */
+////////////////////////////////////////
+
+// Number of folds and Random Forest hyperparameters searched with stratified k-fold cross-validation.
+// null keeps the smileRandomForest default (square root of the band count), variablesPerSplit
+// candidates above the number of manifest bands are capped at that number
+var numFolds = 5;
+var hyperparameterGrid = {
+  numberOfTrees: [50, 100, 200],
+  variablesPerSplit: [null, 2, 3],
+  minLeafPopulation: [1, 5],
+  bagFraction: [0.5, 0.7]
+};
+
+/**
+ * Function to assign stratified folds, each class is split into k folds of equal size
+ * at the per-class percentiles of a uniform random column. With a group property the
+ * percentiles are taken over the distinct group values of each class, so the samples of
+ * a polygon or block of that class share a fold
+ * @param {ee.FeatureCollection} collection - samples with 'landcover' property
+ * @param {number} k - number of folds
+ * @param {string} [groupProperty] - uniform random value shared by the samples of a group
+ * @return {ee.FeatureCollection} samples with 'fold' property from 0 to k - 1
+ */
+var assignFolds = function(collection, k, groupProperty) {
+  var percentiles = [];
+  var cutNames = [];
+  for (var i = 1; i < k; i++) {
+    percentiles.push(100 * i / k);
+    cutNames.push('cut' + i);
   }
+  var withRandom = groupProperty ?
+      collection.map(function(feature) {
+        return feature.set('foldRandom', feature.get(groupProperty));
+      }) :
+      collection.randomColumn('foldRandom', 200);
+  var classValues = withRandom.aggregate_array('landcover').distinct();
+
+  return ee.FeatureCollection(classValues.map(function(value) {
+    var classSamples = withRandom.filter(ee.Filter.eq('landcover', value));
+    var cutSamples = classSamples;
+    if (groupProperty) {
+      cutSamples = ee.FeatureCollection(classSamples.aggregate_array('foldRandom').distinct().map(function(random) {
+        return ee.Feature(null, {foldRandom: random});
+      }));
+    }
+    var cuts = cutSamples.reduceColumns(
+      ee.Reducer.percentile({percentiles: percentiles, outputNames: cutNames}),
+      ['foldRandom']
+    ).values(cutNames);
+
+    return classSamples.map(function(feature) {
+      var random = ee.Number(feature.get('foldRandom'));
+      var fold = cuts.map(function(cut) {
+        return random.gt(ee.Number(cut));
+      }).reduce(ee.Reducer.sum());
+      return feature.set('fold', fold);
+    });
+  })).flatten();
+};
+
+/**
+ * Function to expand the hyperparameter grid into every combination
+ * @param {Object} grid - list of values per hyperparameter
+ * @return {Array<Object>} hyperparameter combinations, null values are left out
+ */
+var expandGrid = function(grid) {
+  var configs = [{}];
+  Object.keys(grid).forEach(function(name) {
+    var expanded = [];
+    configs.forEach(function(combination) {
+      grid[name].forEach(function(value) {
+        var next = {};
+        for (var key in combination) {
+          next[key] = combination[key];
+        }
+        if (value !== null) {
+          next[name] = value;
+        }
+        expanded.push(next);
+      });
+    });
+    configs = expanded;
+  });
+  return configs;
+};
+
+/**
+ * Function to create an untrained Random Forest from a hyperparameter combination
+ * @param {Object} params - smileRandomForest arguments
+ * @return {ee.Classifier} Random Forest with variablesPerSplit capped at the number of bands
+ */
+var randomForest = function(params) {
+  var args = {};
+  for (var name in params) {
+    args[name] = params[name];
+  }
+  if (args.variablesPerSplit !== undefined) {
+    args.variablesPerSplit = ee.Number(args.variablesPerSplit).min(bands.size());
+  }
+  return ee.Classifier.smileRandomForest(args);
+};
+
+/**
+ * Function to cross-validate a Random Forest configuration over the folds
+ * @param {Object} params - smileRandomForest arguments
+ * @param {ee.FeatureCollection} folds - training samples with 'fold' property
+ * @return {ee.Feature} hyperparameters with per-fold and mean/std accuracy and kappa
+ */
+var crossValidate = function(params, folds) {
+  var foldMetrics = ee.FeatureCollection(ee.List.sequence(0, numFolds - 1).map(function(fold) {
+    var trainFold = folds.filter(ee.Filter.neq('fold', fold));
+    var testFold = folds.filter(ee.Filter.eq('fold', fold));
+    var model = randomForest(params).train({
+      features: balanceSamples(trainFold),
+      classProperty: 'landcover',
+      inputProperties: bands
+    });
+    var matrix = testFold.classify(model).errorMatrix('landcover', 'classification');
+    return ee.Feature(null, {'accuracy': matrix.accuracy(), 'kappa': matrix.kappa()});
+  }));
+
+  return ee.Feature(null, params).set({
+    'foldAccuracy': foldMetrics.aggregate_array('accuracy'),
+    'foldKappa': foldMetrics.aggregate_array('kappa'),
+    'meanAccuracy': foldMetrics.aggregate_mean('accuracy'),
+    'stdAccuracy': foldMetrics.aggregate_sample_sd('accuracy'),
+    'meanKappa': foldMetrics.aggregate_mean('kappa'),
+    'stdKappa': foldMetrics.aggregate_sample_sd('kappa')
+  });
+};
+
+// Cross-validate every configuration and keep the one with the highest mean accuracy. Outside pixel
+// mode the folds are stratified over the split random value of the polygons or blocks, so the samples
+// of a polygon, or of one class within a block, never end up on both sides of a fold
+var folds = splitMode === 'pixel' ?
+    assignFolds(trainFeatures, numFolds) :
+    assignFolds(training.select(bands.add('landcover').add('random')), numFolds, 'random');
+var configs = expandGrid(hyperparameterGrid);
+var cvResults = ee.FeatureCollection(configs.map(function(params, index) {
+  return crossValidate(params, folds).set('configIndex', index);
+}));
+var bestConfig = ee.Feature(cvResults.sort('meanAccuracy', false).first());
+
+// Export the cross-validation results as a CSV file
+Export.table.toDrive({
+  collection: cvResults,
+  description: 'cross_validation_' + year,
+  folder: config.driveFolder,
+  fileFormat: 'CSV'
 });
 
 ////////////////////////////////////////  
 /*    Classification    */
 ////////////////////////////////////////
 
-// Train Random Forest with best hyperparameters
-var trainedRF = ee.Classifier.smileRandomForest(100).train({
-  features: trainFeatures,
+// Random Forest trained on the full training set with the best hyperparameters, only this model is trained
+var trainedRF = ee.Classifier(ee.List(configs.map(randomForest)).get(bestConfig.get('configIndex'))).train({
+  features: balancedTrainFeatures,
   classProperty: 'landcover',
-  inputProperties: bands,
+  inputProperties: bands
+});
+
+// Classifiers compared on the same samples, 'ENSEMBLE' adds their majority vote to the comparison
+var classifierNames = ['RF', 'GTB', 'SVM', 'CART'];
+var useEnsemble = true;
+
+// Classifier used for the classified image, one of classifierNames or 'ENSEMBLE'
+var mapClassifier = 'RF';
+
+// Classifier kept where no class wins more than half of the ensemble votes, one of classifierNames
+var tieBreaker = 'RF';
+
+// Standardize the bands with the training sample statistics for the SVM, into separate 'z_' bands
+var zBands = bands.map(function(band) {
+  return ee.String('z_').cat(band);
 });
+var bandMeans = ee.Dictionary.fromLists(bands, bands.map(function(band) {
+  return balancedTrainFeatures.aggregate_mean(band);
+}));
+var bandStdDevs = ee.Dictionary.fromLists(bands, bands.map(function(band) {
+  return balancedTrainFeatures.aggregate_total_sd(band);
+}));
+
+/**
+ * Function to add standardized 'z_' properties to a sample collection
+ * @param {ee.FeatureCollection} collection - samples with the model bands
+ * @return {ee.FeatureCollection} samples with standardized bands added
+ */
+var standardizeFeatures = function(collection) {
+  return collection.map(function(feature) {
+    var scaled = bands.map(function(band) {
+      return feature.getNumber(band).subtract(bandMeans.getNumber(band)).divide(bandStdDevs.getNumber(band));
+    });
+    return feature.set(ee.Dictionary.fromLists(zBands, scaled));
+  });
+};
+
+/**
+ * Function to add standardized 'z_' bands to an image
+ * @param {ee.Image} img - image with the model bands
+ * @return {ee.Image} image with standardized bands added
+ */
+var standardizeImage = function(img) {
+  var scaled = img.select(bands)
+      .subtract(ee.Image.constant(bandMeans.values(bands)))
+      .divide(ee.Image.constant(bandStdDevs.values(bands)));
+  return img.addBands(scaled.rename(zBands));
+};
+
+/**
+ * Function to train a classifier on the balanced training samples
+ * @param {ee.Classifier} classifier - untrained classifier
+ * @param {ee.FeatureCollection} features - training samples
+ * @param {ee.List} inputProperties - bands used by the classifier
+ * @return {ee.Classifier} trained classifier
+ */
+var trainClassifier = function(classifier, features, inputProperties) {
+  return classifier.train({
+    features: features,
+    classProperty: 'landcover',
+    inputProperties: inputProperties
+  });
+};
+
+// Trained classifiers, the Random Forest uses the cross-validated hyperparameters
+var trainedClassifiers = {
+  'RF': trainedRF,
+  'GTB': trainClassifier(ee.Classifier.smileGradientTreeBoost(100), balancedTrainFeatures, bands),
+  'SVM': trainClassifier(ee.Classifier.libsvm({kernelType: 'RBF', gamma: 0.5, cost: 10}),
+                         standardizeFeatures(balancedTrainFeatures), zBands),
+  'CART': trainClassifier(ee.Classifier.smileCart(), balancedTrainFeatures, bands)
+};
 
-// Classify testing set using the trained model
-var classifiedRF = testing.classify(trainedRF);
-
-// Compute error metrics
-var confusionMatrixRF = classifiedRF.errorMatrix({actual: 'landcover', predicted: 'classification'});
-var precisionRF = confusionMatrixRF.consumersAccuracy();
-var recallRF = confusionMatrixRF.producersAccuracy();
-var fscoreRF = confusionMatrixRF.fscore();
-var kappaRF = confusionMatrixRF.kappa();
-var overallAccuracyRF = confusionMatrixRF.accuracy();
-var overallRecallRF = confusionMatrixRF.consumersAccuracy();
-var explainRF = trainedRF.explain();
-var schemaRF = trainedRF.schema();
-var matrixArray = confusionMatrixRF.array();
-var confusionMatrixRFPrinted = confusionMatrixRF.array();
-
-// Add results to a dictionary
-var results = ee.Feature(null, {
-  'RF_modelSchema': schemaRF,
-  'RF_recall': recallRF,
-  'RF_precision': precisionRF,
-  'RF_fscore': fscoreRF,
-  'RF_kappa': kappaRF,
-  'RF_overall_precision': overallAccuracyRF,
-  'RF_overall_recall': overallRecallRF,
-  'RF_confusionMatrix': confusionMatrixRFPrinted
+// Classify the testing set and the image with every classifier
+var classifiedTesting = standardizeFeatures(testing);
+var standardizedImage = standardizeImage(image);
+var classifiedImages = {};
+classifierNames.forEach(function(name) {
+  classifiedTesting = classifiedTesting.classify(trainedClassifiers[name], 'classification_' + name);
+  classifiedImages[name] = standardizedImage.classify(trainedClassifiers[name]);
 });
 
+// Combine the classifiers by majority vote, ties and pluralities without a majority fall back to tieBreaker
+var modelNames = classifierNames.slice();
+if (useEnsemble) {
+  classifiedTesting = classifiedTesting.map(function(feature) {
+    var votes = ee.List(classifierNames.map(function(name) {
+      return feature.get('classification_' + name);
+    }));
+    var mode = votes.reduce(ee.Reducer.mode());
+    var majority = ee.Number(votes.frequency(mode)).multiply(2).gt(classifierNames.length);
+    return feature.set('classification_ENSEMBLE',
+        ee.Algorithms.If(majority, mode, feature.get('classification_' + tieBreaker)));
+  });
+  var modeImage = ee.ImageCollection(classifierNames.map(function(name) {
+    return classifiedImages[name];
+  })).mode();
+  var modeVotes = ee.ImageCollection(classifierNames.map(function(name) {
+    return classifiedImages[name].eq(modeImage);
+  })).sum();
+  classifiedImages['ENSEMBLE'] = classifiedImages[tieBreaker]
+      .where(modeVotes.multiply(2).gt(classifierNames.length), modeImage)
+      .rename('classification');
+  modelNames.push('ENSEMBLE');
+}
+
+/**
+ * Function to compute the error metrics of a classifier on the testing set
+ * @param {string} name - classifier name
+ * @return {ee.Feature} feature with the classifier name and its metrics
+ */
+var evaluateClassifier = function(name) {
+  var confusionMatrix = classifiedTesting.errorMatrix({actual: 'landcover', predicted: 'classification_' + name});
+  return ee.Feature(null, {
+    'classifier': name,
+    'recall': confusionMatrix.producersAccuracy(),
+    'precision': confusionMatrix.consumersAccuracy(),
+    'fscore': confusionMatrix.fscore(),
+    'kappa': confusionMatrix.kappa(),
+    'overall_accuracy': confusionMatrix.accuracy(),
+    'confusionMatrix': confusionMatrix.array()
+  });
+};
+
+// Model comparison table with one row per classifier
+var modelComparison = ee.FeatureCollection(modelNames.map(evaluateClassifier));
+print('Model comparison', modelComparison);
+
 // Export the classification results as a CSV file
-var featureCollectionClassification = ee.FeatureCollection(results);
 Export.table.toDrive({
-  collection: featureCollectionClassification,
+  collection: modelComparison,
   description: 'classificationResults__' + year,
-  folder: 'GCC_LULC',
+  folder: config.driveFolder,
   fileFormat: 'CSV'
 });
 
 // Classify the image
-var classified = image.classify(trainedRF);
+var classified = classifiedImages[mapClassifier];
+
+////////////////////////////////////////  
+/*    Spatial Smoothing    */
+////////////////////////////////////////
+
+// Optional focal mode filter (kernel radius in pixels) and minimum mapping unit in hectares
+var smoothMap = true;
+var smoothingRadius = 1;
+var minMappingUnit = 0.5;
+
+/**
+ * Function to remove salt-and-pepper noise with a focal mode filter and sieve patches below the
+ * minimum mapping unit, which take the majority class of their neighbourhood
+ * @param {ee.Image} img - classified image
+ * @return {ee.Image} smoothed classified image
+ */
+var smoothClassification = function(img) {
+  var smoothed = img.focalMode({radius: smoothingRadius, kernelType: 'square', units: 'pixels'})
+      .rename('classification');
+  var minPixels = Math.ceil(minMappingUnit * 10000 / (30 * 30));
+  var patchSize = smoothed.connectedPixelCount({maxSize: minPixels + 1, eightConnected: true});
+  var smallPatch = patchSize.lt(minPixels);
+  var fill = smoothed.updateMask(smallPatch.not())
+      .focalMode({radius: smoothingRadius + 2, kernelType: 'square', units: 'pixels'})
+      .unmask(smoothed);
+  return smoothed.where(smallPatch, fill).toByte();
+};
+
+/**
+ * Function to sum the area in hectares per class of a classified image
+ * @param {ee.Image} img - classified image
+ * @return {ee.Dictionary} hectares keyed by class value
+ */
+var areaPerClass = function(img) {
+  var groups = ee.List(ee.Image.pixelArea().divide(10000).addBands(img).reduceRegion({
+    reducer: ee.Reducer.sum().group({groupField: 1, groupName: 'class'}),
+    geometry: region,
+    scale: 30,
+    maxPixels: 1e13,
+    tileScale: 4
+  }).get('groups'));
+  return ee.Dictionary.fromLists(
+    groups.map(function(group) {
+      return ee.Number(ee.Dictionary(group).get('class')).int().format('%d');
+    }),
+    groups.map(function(group) {
+      return ee.Dictionary(group).get('sum');
+    })
+  );
+};
+
+if (smoothMap) {
+  var smoothedClassified = smoothClassification(classified);
+
+  // Report the area per class before and after smoothing
+  var rawAreas = areaPerClass(classified);
+  var smoothedAreas = areaPerClass(smoothedClassified);
+  var smoothingReport = ee.FeatureCollection(rawAreas.keys().cat(smoothedAreas.keys()).distinct().map(function(key) {
+    var rawArea = ee.Number(rawAreas.get(key, 0));
+    var smoothedArea = ee.Number(smoothedAreas.get(key, 0));
+    return ee.Feature(null, {
+      'class': ee.Number.parse(key),
+      'rawArea': rawArea,
+      'smoothedArea': smoothedArea,
+      'areaMoved': smoothedArea.subtract(rawArea)
+    });
+  }));
+
+  // Export the smoothing report as a CSV file
+  Export.table.toDrive({
+    collection: smoothingReport,
+    description: 'smoothing_report_' + year,
+    folder: config.driveFolder,
+    fileFormat: 'CSV'
+  });
+
+  // Export the smoothed classified image next to the raw one
+  Export.image.toAsset({
+    image: smoothedClassified.clip(region),
+    description: config.classifiedName(year, 'smoothed'),
+    assetId: config.assetId(config.classifiedName(year, 'smoothed')),
+    scale: 30,
+    region: region,
+    pyramidingPolicy: {'.default': 'mode'},
+    maxPixels: 1e10
+  });
+}
 
 // Display the results
 Map.centerObject(image, 10);
-Map.addLayer(classified, {min: 0, max: 1, palette: ['red', 'green']}, 'Classified Image');
+Map.addLayer(classified, config.classVis, 'Classified Image');
 
-// Export the classified image
+// Export the classified image. Its pyramids keep the modal class, the default mean would turn
+// mixed class codes into other classes wherever the asset is read above 30 m
 Export.image.toAsset({
   image: classified.clip(region),
-  description: 'ClassifiedImage_' + year + '_619',
+  description: config.classifiedName(year),
+  assetId: config.assetId(config.classifiedName(year)),
+  scale: 30,
+  region: region,
+  pyramidingPolicy: {'.default': 'mode'},
+  maxPixels: 1e10
+});
+
+////////////////////////////////////////  
+/*    Classification Confidence    */
+////////////////////////////////////////
+
+// Class values in the order of the Random Forest probability array
+var probabilityBands = balancedTrainFeatures.aggregate_array('landcover').distinct().sort().map(function(value) {
+  return ee.String('prob_').cat(ee.Number(value).int().format('%d'));
+});
+
+// Classify the image with the Random Forest in multiprobability mode
+var probabilities = image.classify(trainedRF.setOutputMode('MULTIPROBABILITY'));
+
+// Maximum class probability and margin between the two most probable classes
+var topProbabilities = probabilities.arraySort().arraySlice(0, -2);
+var maxProbability = topProbabilities.arrayGet([1]).rename('maxProbability');
+var margin = maxProbability.subtract(topProbabilities.arrayGet([0])).rename('margin');
+var classProbabilities = probabilities.arrayFlatten([probabilityBands]);
+var confidence = maxProbability.addBands(margin).addBands(classProbabilities);
+
+// Export the confidence layers next to the classified image
+Export.image.toAsset({
+  image: confidence.toFloat().clip(region),
+  description: config.confidenceName(year),
+  assetId: config.assetId(config.confidenceName(year)),
   scale: 30,
   region: region,
   maxPixels: 1e10
@@ -157,20 +761,37 @@ Export.image.toAsset({
 // Collect and export model metrics in a Dictionary
 var classificationMetrics = {
   'year': year,
+  'sensor': sensor,
   'imageId': imageString,
   'testSetN': testing.aggregate_count('.all'),
   'trainSetN': training.aggregate_count('.all'),
   'totalSamples': samples.aggregate_count('.all'),
   'trainTestSplit': split,
+  'splitMode': splitMode,
+  'blockSize': blockSize,
+  'trainClassCounts': trainClassCounts,
+  'testClassCounts': testClassCounts,
+  'balanceStrategy': balanceStrategy,
+  'balancedTrainSetN': balancedTrainFeatures.size(),
+  'balancedTrainClassCounts': balancedTrainClassCounts,
+  'numFolds': numFolds,
+  'RF_bestConfig': bestConfig.toDictionary(),
+  'RF_cvMeanAccuracy': bestConfig.get('meanAccuracy'),
+  'RF_cvStdAccuracy': bestConfig.get('stdAccuracy'),
+  'RF_cvMeanKappa': bestConfig.get('meanKappa'),
+  'RF_cvStdKappa': bestConfig.get('stdKappa'),
+  'featureSet': featureSet,
   'bands': bands,
-  'RF_modelSchema': schemaRF,
-  'RF_recall': recallRF,
-  'RF_precision': precisionRF,
-  'RF_fscore': fscoreRF,
-  'RF_kappa': kappaRF,
-  'RF_overall_precision': overallAccuracyRF,
-  'RF_overall_recall': overallRecallRF,
-  'RF_confusionMatrix': confusionMatrixRFPrinted,
+  'mapClassifier': mapClassifier,
+  'smoothMap': smoothMap,
+  'smoothingRadius': smoothingRadius,
+  'minMappingUnit': minMappingUnit,
+  'modelComparison': ee.Dictionary.fromLists(
+    modelComparison.aggregate_array('classifier'),
+    modelComparison.toList(modelNames.length).map(function(feature) {
+      return ee.Feature(feature).toDictionary();
+    })
+  ),
 };
 
 // Convert the dictionary to a FeatureCollection
@@ -189,6 +810,7 @@ var featureCollection = ee.FeatureCollection(features);
 Export.table.toDrive({
   collection: featureCollection,
   description: 'classification_metrics_' + year,
+  folder: config.driveFolder,
   fileFormat: 'CSV',
   priority: 5
 });
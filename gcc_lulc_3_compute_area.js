@@ -6,29 +6,32 @@
  *  
  *  The goal of this script is to compute the pixel areas for each class in the respective classified image of each year of the study.
  *  Classified images are exported via GEE asset using the corresponding script "2_GCC_LULC_classification".
+ *  Mapped areas are combined with a stratified random reference sample into area-adjusted accuracies and areas.
  */
 
 // var gcc = 'path/to/your/geometry'
 
+// Load the shared configuration
+var config = require('users/aaronalt/gcc_lulc:gcc_lulc_config');
+
 // Define class labels
-var classes = {
-  1: 'Mangrove',
-  2: 'Agriculture',
-  3: 'DenseVeg',
-  4: 'SparseVeg',
-  5: 'UrbanGreen',
-  6: 'Bare',
-  7: 'Artificial',
-  8: 'Water'
-};
+var classes = config.classes;
 
-// Set the year and image string
+// Set the year, the map version ('raw', 'smoothed' from script 2 or 'clean' from script 4) and image string
 var year = 1987;
-var imageString = 'projects/gcc-coastline-map/assets/ClassifiedImage_' + year;
+var mapVersion = 'raw';
+var imageString = config.assetId(config.classifiedName(year, mapVersion));
+
+// Restrict the areas to pixels whose maximum class probability reaches minConfidence, 0 keeps every pixel
+var minConfidence = 0;
+var confidenceString = config.assetId(config.confidenceName(year));
 
 // Load and clip the image
 var image = ee.Image(imageString).clip(gcc.geometry());
-var values = ee.List.sequence(1, 8);
+if (minConfidence > 0) {
+  image = image.updateMask(ee.Image(confidenceString).select('maxProbability').gte(minConfidence));
+}
+var values = ee.List(config.classValues);
 
 /**
  * Function to calculate the area for a specific class value
@@ -66,72 +69,240 @@ print('Area by Value (in hectares):', areaFeatureCollection);
 // Export the feature collection as a CSV file
 Export.table.toDrive({
   collection: areaFeatureCollection,
-  description: 'classified_areas_' + year,
-  folder: 'GCC_LULC',
+  description: 'classified_areas_' + mapVersion + '_' + year,
+  folder: config.driveFolder,
   fileFormat: 'CSV'
 });
 
-// Define the range of values and corresponding colors
-var classValues = ['Mangrove', 'Agriculture', 'DenseVeg', 'SparseVeg', 'UrbanGreen', 'Bare', 'Artificial', 'Water'];
-var palette = ['b99470', 'fefae0', 'a9b388', '5f6f52', 'f2d388', 'c98474', '874c62', 'a7d2cb'];
+////////////////////////////////////////
+/*    Zonal Area Statistics    */
+////////////////////////////////////////
 
-// Apply the palette to the image
-var classifiedImage = image.visualize({
-  min: 1,
-  max: 8,
-  palette: palette
-});
+// Zone layers: GCC countries, first-level administrative units (e.g. emirates) and distance-to-coast bands in meters
+var gccCountries = ['Bahrain', 'Kuwait', 'Oman', 'Qatar', 'Saudi Arabia', 'United Arab Emirates'];
+var countries = ee.FeatureCollection('FAO/GAUL/2015/level0').filter(ee.Filter.inList('ADM0_NAME', gccCountries));
+var adminUnits = ee.FeatureCollection('FAO/GAUL/2015/level1').filter(ee.Filter.inList('ADM0_NAME', gccCountries));
+var coastalBreaks = [0, 1000, 5000, 10000, 20000];
 
-// Add the classified image to the map
-Map.addLayer(classifiedImage, {}, 'Classified Image');
-Map.addLayer(image, {min:1, max:8, palette: palette}, '2021');
+/**
+ * Function to rasterize a zone FeatureCollection
+ * @param {ee.FeatureCollection} zones - zone polygons
+ * @param {string} nameProperty - property holding the zone name
+ * @return {Object} zone raster of integer ids and the zone names in id order
+ */
+var rasterizeZones = function(zones, nameProperty) {
+  var names = zones.aggregate_array(nameProperty).distinct();
+  var zoneImage = zones.map(function(zone) {
+    return zone.set('zoneId', names.indexOf(zone.get(nameProperty)));
+  }).reduceToImage(['zoneId'], ee.Reducer.first());
+  return {image: zoneImage, names: names};
+};
 
-// Create the legend
-var legend = ui.Panel({
-  style: {
-    position: 'bottom-left',
-    padding: '8px 15px'
+/**
+ * Function to build distance-to-coast zones from the Water class of the classified image
+ * @param {ee.Image} classifiedImage - classified image
+ * @param {Array<number>} breaks - zone limits in meters, starting at 0
+ * @return {Object} zone raster of integer ids and the zone names in id order
+ */
+var coastalZones = function(classifiedImage, breaks) {
+  var maxDistance = breaks[breaks.length - 1];
+  var distance = classifiedImage.eq(8).selfMask()
+      .distance(ee.Kernel.euclidean(maxDistance, 'meters'));
+  var zoneImage = ee.Image(0);
+  var names = [];
+  for (var i = 1; i < breaks.length; i++) {
+    if (i < breaks.length - 1) {
+      zoneImage = zoneImage.add(distance.gte(breaks[i]));
+    }
+    names.push(breaks[i - 1] / 1000 + '-' + breaks[i] / 1000 + 'km');
   }
+  return {image: zoneImage.updateMask(distance.lt(maxDistance)), names: ee.List(names)};
+};
+
+/**
+ * Function to compute the area per zone and class in a single grouped reduction
+ * @param {ee.Image} classifiedImage - classified image
+ * @param {Object} zones - zone raster of integer ids and the zone names in id order
+ * @param {string} zoneType - name of the zone layer
+ * @return {ee.FeatureCollection} one feature per zone and class with the area in hectares
+ */
+var zonalAreas = function(classifiedImage, zones, zoneType) {
+  var groups = ee.List(ee.Image.pixelArea().divide(10000)
+    .addBands(classifiedImage.rename('class'))
+    .addBands(zones.image.rename('zone'))
+    .reduceRegion({
+      reducer: ee.Reducer.sum()
+        .group({groupField: 1, groupName: 'class'})
+        .group({groupField: 2, groupName: 'zone'}),
+      geometry: gcc.geometry(),
+      scale: 30,
+      maxPixels: 1e13,
+      tileScale: 4
+    }).get('groups'));
+
+  return ee.FeatureCollection(groups.map(function(zoneGroup) {
+    zoneGroup = ee.Dictionary(zoneGroup);
+    var zoneName = ee.List(zones.names).get(ee.Number(zoneGroup.get('zone')).int());
+    return ee.List(zoneGroup.get('groups')).map(function(classGroup) {
+      classGroup = ee.Dictionary(classGroup);
+      var value = ee.Number(classGroup.get('class')).int();
+      return ee.Feature(null, {
+        zoneType: zoneType,
+        zone: zoneName,
+        class: ee.Dictionary(classes).get(value.format('%d')),
+        value: value,
+        year: year,
+        hectares: classGroup.get('sum')
+      });
+    });
+  }).flatten());
+};
+
+// Compute the areas for every zone layer
+var zonalAreaFeatureCollection = zonalAreas(image, rasterizeZones(countries, 'ADM0_NAME'), 'country')
+  .merge(zonalAreas(image, rasterizeZones(adminUnits, 'ADM1_NAME'), 'admin1'))
+  .merge(zonalAreas(image, coastalZones(image, coastalBreaks), 'coastal'));
+
+// Export the zonal areas as a long format CSV file
+Export.table.toDrive({
+  collection: zonalAreaFeatureCollection,
+  description: 'zonal_areas_' + mapVersion + '_' + year,
+  folder: config.driveFolder,
+  fileFormat: 'CSV',
+  selectors: ['zoneType', 'zone', 'class', 'value', 'year', 'hectares']
 });
 
-// Create a title for the legend
-var legendTitle = ui.Label({
-  value: 'Vegetation Classes',
-  style: {fontWeight: 'bold', fontSize: '16px', margin: '0 0 6px 0', padding: '0'}
+////////////////////////////////////////
+/*    Area-Adjusted Accuracy Assessment    */
+////////////////////////////////////////
+
+// Stratified random accuracy sample (Olofsson et al. 2014): points per mapped class, and the asset
+// holding the same points with the interpreted class in a 'reference' property. Set referenceAvailable
+// to true once the exported design has been interpreted and uploaded as that asset
+var pointsPerClass = 100;
+var referenceSampleString = config.assetId(config.accuracySampleName(year));
+var referenceAvailable = false;
+
+// Export the stratified random sample of the classified map for reference interpretation
+var accuracySampleDesign = image.rename('map').stratifiedSample({
+  numPoints: pointsPerClass,
+  classBand: 'map',
+  region: gcc.geometry(),
+  scale: 30,
+  seed: 100,
+  geometries: true
+});
+Export.table.toDrive({
+  collection: accuracySampleDesign,
+  description: 'accuracy_sample_design_' + year,
+  folder: config.driveFolder,
+  fileFormat: 'CSV'
 });
-legend.add(legendTitle);
 
 /**
- * Function to create a legend row
- * @param {string} color - color for the class
- * @param {string} name - name of the class
- * @return {ui.Panel} legend row
+ * Function to estimate area-adjusted accuracies and areas with 95% confidence intervals
+ * @param {ee.FeatureCollection} referenceSample - sample points with 'map' and 'reference' class values
+ * @param {ee.FeatureCollection} mappedAreas - mapped area per class from calculateAreaForValue
+ * @return {ee.FeatureCollection} one feature per class with mapped area, accuracies and adjusted area. The estimator
+ *     needs every stratum sampled: classes without reference points get an 'unsampled' status and no estimates,
+ *     their mapped area is missing from the adjusted areas of the other classes
  */
-var makeRow = function(color, name) {
-  var colorBox = ui.Label({
-    style: {
-      backgroundColor: color,
-      padding: '8px',
-      margin: '0 0 4px 0'
-    }
-  });
+var adjustedAccuracy = function(referenceSample, mappedAreas) {
+  var numClasses = values.size();
 
-  var description = ui.Label({
-    value: name,
-    style: {margin: '0 0 4px 6px'}
-  });
+  // Sample counts with mapped classes in rows and reference classes in columns
+  var counts = referenceSample.errorMatrix('map', 'reference', values).array();
+  var rowCounts = counts.reduce(ee.Reducer.sum(), [1]);
 
-  return ui.Panel({
-    widgets: [colorBox, description],
-    layout: ui.Panel.Layout.Flow('horizontal')
-  });
+  // Area weights of the mapped classes
+  var mappedArea = ee.Array(mappedAreas.sort('value').aggregate_array('area')).reshape([-1, 1]);
+  var totalArea = mappedArea.reduce(ee.Reducer.sum(), [0]).get([0, 0]);
+  var weights = mappedArea.divide(totalArea);
+
+  // Estimated area proportions p_ij = W_i * n_ij / n_i.
+  var rowProportions = counts.divide(rowCounts.max(1).repeat(1, numClasses));
+  var proportions = rowProportions.multiply(weights.repeat(1, numClasses));
+  var referenceProportions = proportions.reduce(ee.Reducer.sum(), [0]);
+  var overallAccuracy = proportions.matrixDiagonal().reduce(ee.Reducer.sum(), [0]).get([0, 0]);
+
+  // Standard error of the reference class proportions
+  var variance = rowProportions.multiply(rowProportions.multiply(-1).add(1))
+      .multiply(weights.pow(2).repeat(1, numClasses))
+      .divide(rowCounts.subtract(1).max(1).repeat(1, numClasses))
+      .reduce(ee.Reducer.sum(), [0]);
+  var standardErrors = variance.sqrt();
+
+  return ee.FeatureCollection(ee.List.sequence(0, numClasses.subtract(1)).map(function(i) {
+    i = ee.Number(i).int();
+    var value = values.get(i);
+    var diagonal = proportions.get([i, i]);
+    var sampleCount = ee.Number(rowCounts.get([i, 0]));
+    var stratum = ee.Feature(null, {
+      'value': value,
+      'label': ee.Dictionary(classes).get(ee.Number(value).format('%d')),
+      'mappedArea': mappedArea.get([i, 0]),
+      'weight': weights.get([i, 0]),
+      'sampleCount': sampleCount
+    });
+    var unsampled = stratum.set({
+      'status': 'unsampled',
+      'warning': 'No reference points in this stratum, its mapped area is missing from the adjusted areas'
+    });
+    var feature = stratum.set({
+      'status': 'sampled',
+      'userAccuracy': diagonal.divide(weights.get([i, 0])),
+      'producerAccuracy': diagonal.divide(referenceProportions.get([0, i])),
+      'adjustedArea': referenceProportions.get([0, i]).multiply(totalArea),
+      'adjustedAreaCI95': standardErrors.get([0, i]).multiply(totalArea).multiply(1.96),
+      'overallAccuracy': overallAccuracy
+    });
+
+    // Append the confusion matrix row of the mapped class
+    var referenceKeys = values.map(function(reference) {
+      return ee.String('reference_').cat(ee.Number(reference).format('%d'));
+    });
+    feature = feature.set(ee.Dictionary.fromLists(referenceKeys, counts.slice(0, i, i.add(1)).project([1]).toList()));
+    return ee.Algorithms.If(sampleCount.gt(0), feature, unsampled);
+  }));
 };
 
-// Add color and class value pairs to the legend
-for (var i = 0; i < classValues.length; i++) {
-  legend.add(makeRow(palette[i], classValues[i]));
+// Combine the mapped areas with the interpreted reference sample
+if (referenceAvailable) {
+  var referenceSample = ee.FeatureCollection(referenceSampleString);
+  var accuracyFeatureCollection = adjustedAccuracy(referenceSample, areaFeatureCollection);
+  print('Area-adjusted accuracy:', accuracyFeatureCollection);
+  print('Warning, strata without reference points:',
+    accuracyFeatureCollection.filter(ee.Filter.eq('status', 'unsampled')).aggregate_array('label'));
+
+  // Export the area-adjusted accuracy assessment as a CSV file
+  Export.table.toDrive({
+    collection: accuracyFeatureCollection,
+    description: 'adjusted_accuracy_' + year,
+    folder: config.driveFolder,
+    fileFormat: 'CSV'
+  });
 }
 
+// Define the colors of the class values
+var palette = config.palette;
+
+// Apply the palette to the image
+var classifiedImage = image.visualize({
+  min: 1,
+  max: 8,
+  palette: palette
+});
+
+// Add the classified image to the map
+Map.addLayer(classifiedImage, {}, 'Classified Image');
+Map.addLayer(image, {min:1, max:8, palette: palette}, String(year));
+
+// Create the legend
+var legend = config.makeLegend({
+  position: 'bottom-left',
+  padding: '8px 15px'
+});
+
 // Add the legend to the map
 Map.add(legend);
 Map.centerObject(image);
@@ -140,7 +311,7 @@ Map.centerObject(image);
 Export.image.toDrive({
   image: classifiedImage,
   description: 'Classified_Image_with_bands_' + year,
-  folder: 'GCC_LULC',
+  folder: config.driveFolder,
   scale: 30,
   maxPixels: 1e10
 });
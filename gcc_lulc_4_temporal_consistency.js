@@ -0,0 +1,151 @@
+/*
+ *  Analyzing the influence of climate and anthropogenic development on vegetation cover in the coastal ecosystems of GCC
+ *
+ *  Authors: Abhilash Dutta Roy, Midhun Mohan, Aaron Althauser, Amare Gebrie, Meshal Abdullah, Talal Al-Awadhi, Ahmed M El Kenawy
+ *  Script Authors: Aaron Althauser &  Abhilash Dutta Roy
+ *
+ *  The goal of this script is to remove year-to-year class flicker from the series of classified images before area and change computation.
+ *  Classified images are taken from the corresponding script "2_GCC_LULC_classification". Cleaned images are exported as GEE assets.
+ */
+
+// Load the shared configuration
+var config = require('users/aaronalt/gcc_lulc:gcc_lulc_config');
+
+// Define the study years and region
+var startYear = config.startYear;
+var endYear = config.endYear;
+var region = gcc.geometry();
+
+// Mode filter window in years (odd, 1 disables the filter)
+var windowSize = 3;
+
+// Forbidden [from, to] class transitions, the pixel keeps its previous class instead (7 Artificial -> 1 Mangrove)
+var forbiddenTransitions = [[7, 1]];
+
+// Number of years a new class has to persist to be accepted (1 disables the rule)
+var minPersistence = 2;
+
+// Load the yearly classified images
+var years = [];
+var series = [];
+for (var y = startYear; y <= endYear; y++) {
+  years.push(y);
+  series.push(ee.Image(config.assetId(config.classifiedName(y))).rename('classification'));
+}
+
+/**
+ * Function to replace each year with the majority class of the surrounding window.
+ * A pixel only changes when the majority class holds more than half of the window.
+ * @param {Array<ee.Image>} images - classified images in year order
+ * @return {Array<ee.Image>} filtered images
+ */
+var modeFilter = function(images) {
+  var half = (windowSize - 1) / 2;
+  return images.map(function(img, t) {
+    var windowImages = images.slice(Math.max(0, t - half), Math.min(images.length, t + half + 1));
+    var window = ee.ImageCollection(windowImages);
+    var mode = window.mode();
+    var support = window.map(function(windowImage) {
+      return windowImage.eq(mode);
+    }).sum();
+    return img.where(support.gt(windowImages.length / 2), mode);
+  });
+};
+
+/**
+ * Function to undo forbidden class transitions, the pixel keeps its class from the previous year
+ * @param {Array<ee.Image>} images - classified images in year order
+ * @return {Array<ee.Image>} images without forbidden transitions
+ */
+var removeForbiddenTransitions = function(images) {
+  var cleaned = [images[0]];
+  for (var t = 1; t < images.length; t++) {
+    var previous = cleaned[t - 1];
+    var current = images[t];
+    var forbidden = ee.Image(0);
+    forbiddenTransitions.forEach(function(transition) {
+      forbidden = forbidden.or(previous.eq(transition[0]).and(current.eq(transition[1])));
+    });
+    cleaned.push(current.where(forbidden, previous));
+  }
+  return cleaned;
+};
+
+/**
+ * Function to reject class changes lasting fewer than minPersistence years
+ * @param {Array<ee.Image>} images - classified images in year order
+ * @return {Array<ee.Image>} images with short-lived changes reverted
+ */
+var enforcePersistence = function(images) {
+  var cleaned = [images[0]];
+  for (var t = 1; t < images.length; t++) {
+    var previous = cleaned[t - 1];
+    var current = images[t];
+    var persists = ee.Image(1);
+    for (var k = 1; k < minPersistence && t + k < images.length; k++) {
+      persists = persists.and(images[t + k].eq(current));
+    }
+    cleaned.push(current.where(current.neq(previous).and(persists.not()), previous));
+  }
+  return cleaned;
+};
+
+/**
+ * Function to count the pixels a rule changed in each year
+ * @param {Array<ee.Image>} before - images before the rule
+ * @param {Array<ee.Image>} after - images after the rule
+ * @param {string} rule - name of the rule
+ * @return {Array<ee.Feature>} one feature per year with the number of changed pixels
+ */
+var countChanges = function(before, after, rule) {
+  return before.map(function(img, t) {
+    var changed = img.neq(after[t]).rename('changed');
+    var count = changed.reduceRegion({
+      reducer: ee.Reducer.sum(),
+      geometry: region,
+      scale: 30,
+      maxPixels: 1e13,
+      tileScale: 4
+    }).get('changed');
+    return ee.Feature(null, {year: years[t], rule: rule, changedPixels: count});
+  });
+};
+
+// Apply the enabled rules in order and log their changes
+var rules = [
+  {name: 'modeFilter', apply: modeFilter, enabled: windowSize > 1},
+  {name: 'forbiddenTransitions', apply: removeForbiddenTransitions, enabled: forbiddenTransitions.length > 0},
+  {name: 'minPersistence', apply: enforcePersistence, enabled: minPersistence > 1}
+];
+
+var cleanedSeries = series;
+var changeLog = [];
+rules.forEach(function(rule) {
+  if (!rule.enabled) {
+    return;
+  }
+  var result = rule.apply(cleanedSeries);
+  changeLog = changeLog.concat(countChanges(cleanedSeries, result, rule.name));
+  cleanedSeries = result;
+});
+
+// Export the change log as a CSV file
+Export.table.toDrive({
+  collection: ee.FeatureCollection(changeLog),
+  description: 'temporal_consistency_log_' + startYear + '_' + endYear,
+  folder: config.driveFolder,
+  fileFormat: 'CSV'
+});
+
+// Export the cleaned classified images with modal pyramids, as the raw classified images
+cleanedSeries.forEach(function(img, t) {
+  Export.image.toAsset({
+    image: img.toByte().clip(region),
+    description: config.classifiedName(years[t], 'clean'),
+    assetId: config.assetId(config.classifiedName(years[t], 'clean')),
+    scale: 30,
+    region: region,
+    pyramidingPolicy: {'.default': 'mode'},
+    maxPixels: 1e10
+  });
+});
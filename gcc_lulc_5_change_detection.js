@@ -0,0 +1,142 @@
+/*
+ *  Analyzing the influence of climate and anthropogenic development on vegetation cover in the coastal ecosystems of GCC
+ *
+ *  Authors: Abhilash Dutta Roy, Midhun Mohan, Aaron Althauser, Amare Gebrie, Meshal Abdullah, Talal Al-Awadhi, Ahmed M El Kenawy
+ *  Script Authors: Aaron Althauser &  Abhilash Dutta Roy
+ *
+ *  The goal of this script is to detect land cover change between two years of the study.
+ *  Classified images are taken from the corresponding script "2_GCC_LULC_classification" (or the cleaned series of "4_GCC_LULC_temporalConsistency").
+ *  The change raster, the transition matrix and the per-class change components are exported as GEE assets and CSV files.
+ */
+
+// Load the shared configuration
+var config = require('users/aaronalt/gcc_lulc:gcc_lulc_config');
+
+// Define class labels
+var classes = config.classes;
+
+// Set the two years to compare and the classified image version ('raw', 'smoothed' or 'clean' from script 4)
+var fromYear = config.startYear;
+var toYear = config.endYear;
+var mapVersion = 'raw';
+var region = gcc.geometry();
+
+// Load the classified images
+var fromImage = ee.Image(config.assetId(config.classifiedName(fromYear, mapVersion))).clip(region);
+var toImage = ee.Image(config.assetId(config.classifiedName(toYear, mapVersion))).clip(region);
+
+// Code every pixel as from * 10 + to
+var change = fromImage.multiply(10).add(toImage).rename('change').toByte();
+
+// Sum the area in hectares of every transition code in a single grouped reduction
+var groups = ee.List(ee.Image.pixelArea().divide(10000).addBands(change).reduceRegion({
+  reducer: ee.Reducer.sum().group({groupField: 1, groupName: 'code'}),
+  geometry: region,
+  scale: 30,
+  maxPixels: 1e13,
+  tileScale: 4
+}).get('groups'));
+var transitionAreas = ee.Dictionary.fromLists(
+  groups.map(function(group) {
+    return ee.Number(ee.Dictionary(group).get('code')).int().format('%d');
+  }),
+  groups.map(function(group) {
+    return ee.Dictionary(group).get('sum');
+  })
+);
+
+/**
+ * Function to get the area of a transition
+ * @param {number} from - class value in fromYear
+ * @param {number} to - class value in toYear
+ * @return {ee.Number} area in hectares
+ */
+var transitionArea = function(from, to) {
+  return ee.Number(transitionAreas.get(String(from * 10 + to), 0));
+};
+
+var classValues = config.classValues;
+
+// From-to transition matrix in hectares, one row per class in fromYear
+var transitionMatrix = ee.FeatureCollection(classValues.map(function(from) {
+  var row = {'from': classes[from], 'fromValue': from};
+  classValues.forEach(function(to) {
+    row[classes[to]] = transitionArea(from, to);
+  });
+  return ee.Feature(null, row);
+}));
+
+// Gross gain, loss, net change and swap per class
+var changeComponents = ee.FeatureCollection(classValues.map(function(value) {
+  var gain = ee.Number(0);
+  var loss = ee.Number(0);
+  classValues.forEach(function(other) {
+    if (other !== value) {
+      gain = gain.add(transitionArea(other, value));
+      loss = loss.add(transitionArea(value, other));
+    }
+  });
+  return ee.Feature(null, {
+    'class': classes[value],
+    'value': value,
+    'fromArea': classValues.reduce(function(total, to) {
+      return total.add(transitionArea(value, to));
+    }, ee.Number(0)),
+    'toArea': classValues.reduce(function(total, from) {
+      return total.add(transitionArea(from, value));
+    }, ee.Number(0)),
+    'persistence': transitionArea(value, value),
+    'gain': gain,
+    'loss': loss,
+    'netChange': gain.subtract(loss),
+    'swap': gain.min(loss).multiply(2)
+  });
+}));
+
+print('Transition matrix (hectares):', transitionMatrix);
+print('Change components (hectares):', changeComponents);
+
+// Export the transition matrix and change components as CSV files
+Export.table.toDrive({
+  collection: transitionMatrix,
+  description: 'transition_matrix_' + fromYear + '_' + toYear,
+  folder: config.driveFolder,
+  fileFormat: 'CSV',
+  selectors: ['from', 'fromValue'].concat(classValues.map(function(value) {
+    return classes[value];
+  }))
+});
+
+Export.table.toDrive({
+  collection: changeComponents,
+  description: 'change_components_' + fromYear + '_' + toYear,
+  folder: config.driveFolder,
+  fileFormat: 'CSV'
+});
+
+// Export the tables as GEE assets for later scripts
+Export.table.toAsset({
+  collection: transitionMatrix,
+  description: config.changeName('TransitionMatrix', fromYear, toYear),
+  assetId: config.assetId(config.changeName('TransitionMatrix', fromYear, toYear))
+});
+
+Export.table.toAsset({
+  collection: changeComponents,
+  description: config.changeName('ChangeComponents', fromYear, toYear),
+  assetId: config.assetId(config.changeName('ChangeComponents', fromYear, toYear))
+});
+
+// Export the change raster
+Export.image.toAsset({
+  image: change,
+  description: config.changeName('ChangeImage', fromYear, toYear),
+  assetId: config.assetId(config.changeName('ChangeImage', fromYear, toYear)),
+  scale: 30,
+  region: region,
+  maxPixels: 1e10
+});
+
+// Display the changed pixels
+Map.centerObject(region);
+Map.addLayer(change.updateMask(fromImage.neq(toImage)), {min: 11, max: 88, palette: ['fde725', '21918c', '440154']}, 'Change ' + fromYear + '-' + toYear);
@@ -0,0 +1,195 @@
+/*
+ *  Analyzing the influence of climate and anthropogenic development on vegetation cover in the coastal ecosystems of GCC
+ *
+ *  Authors: Abhilash Dutta Roy, Midhun Mohan, Aaron Althauser, Amare Gebrie, Meshal Abdullah, Talal Al-Awadhi, Ahmed M El Kenawy
+ *  Script Authors: Aaron Althauser &  Abhilash Dutta Roy
+ *
+ *  The goal of this script is to explore the archive of classified images in an interactive app.
+ *  Two years are compared with a swipe map, clicked pixels show their class history and a chart shows the class areas over time.
+ *  Classified images are exported via GEE asset using the corresponding script "2_GCC_LULC_classification".
+ */
+
+// Load the shared configuration
+var config = require('users/aaronalt/gcc_lulc:gcc_lulc_config');
+
+// Define class labels
+var classes = config.classes;
+
+// Define the range of values and corresponding colors
+var classValues = config.classNames;
+var palette = config.palette;
+
+// Set the region and the version of the archive ('raw', 'smoothed' or 'clean')
+var region = gcc.geometry();
+var mapVersion = 'raw';
+
+// Scale of the area chart, coarser than the 30 m maps to keep the app responsive
+var chartScale = 300;
+
+var years = config.years().map(String);
+
+/**
+ * Function to load the classified image of a year
+ * @param {string} year - year of the classified image
+ * @return {ee.Image} classified image clipped to the region
+ */
+var loadYear = function(year) {
+  return ee.Image(config.assetId(config.classifiedName(year, mapVersion))).clip(region);
+};
+
+// Stack of all years with one band per year, used by the click inspector
+var classStack = ee.ImageCollection(years.map(function(year) {
+  return loadYear(year).rename('y' + year);
+})).toBands().rename(years.map(function(year) {
+  return 'y' + year;
+}));
+
+////////////////////////////////////////
+/*    Maps    */
+////////////////////////////////////////
+
+var leftMap = ui.Map();
+var rightMap = ui.Map();
+leftMap.setControlVisibility({layerList: false});
+rightMap.setControlVisibility({layerList: false});
+ui.Map.Linker([leftMap, rightMap]);
+
+/**
+ * Function to show the classified image of a year on a map
+ * @param {ui.Map} map - map to update
+ * @param {string} year - year of the classified image
+ */
+var showYear = function(map, year) {
+  map.layers().reset([
+    ui.Map.Layer(loadYear(year), config.classVis, year)
+  ]);
+};
+
+var splitPanel = ui.SplitPanel({
+  firstPanel: leftMap,
+  secondPanel: rightMap,
+  wipe: true,
+  style: {stretch: 'both'}
+});
+
+////////////////////////////////////////
+/*    Control Panel    */
+////////////////////////////////////////
+
+var leftSelect = ui.Select({
+  items: years,
+  value: years[0],
+  onChange: function(year) {
+    showYear(leftMap, year);
+  }
+});
+
+var rightSelect = ui.Select({
+  items: years,
+  value: years[years.length - 1],
+  onChange: function(year) {
+    showYear(rightMap, year);
+  }
+});
+
+// Legend of the classes
+var legend = config.makeLegend();
+
+// Click inspector showing the class history of a pixel
+var inspector = ui.Panel([ui.Label('Click on the map to show the class history of a pixel.')]);
+
+/**
+ * Function to show the class of a clicked pixel in every year
+ * @param {Object} coords - clicked longitude and latitude
+ */
+var inspectPixel = function(coords) {
+  var point = ee.Geometry.Point(coords.lon, coords.lat);
+  inspector.clear();
+  inspector.add(ui.Label('Loading...'));
+
+  classStack.reduceRegion({
+    reducer: ee.Reducer.first(),
+    geometry: point,
+    scale: 30
+  }).evaluate(function(history) {
+    inspector.clear();
+    inspector.add(ui.Label({
+      value: 'Class history at ' + coords.lon.toFixed(4) + ', ' + coords.lat.toFixed(4),
+      style: {fontWeight: 'bold'}
+    }));
+    years.forEach(function(year) {
+      var value = history ? history['y' + year] : null;
+      inspector.add(ui.Label(year + ': ' + (value === null || value === undefined ? 'no data' : classes[value])));
+    });
+  });
+};
+
+leftMap.onClick(inspectPixel);
+rightMap.onClick(inspectPixel);
+
+// Chart of the area per class over time
+var areaFeatures = ee.FeatureCollection(ee.List(years.map(function(year) {
+  var groups = ee.List(ee.Image.pixelArea().divide(10000).addBands(loadYear(year)).reduceRegion({
+    reducer: ee.Reducer.sum().group({groupField: 1, groupName: 'class'}),
+    geometry: region,
+    scale: chartScale,
+    maxPixels: 1e13,
+    bestEffort: true
+  }).get('groups'));
+  return groups.map(function(group) {
+    group = ee.Dictionary(group);
+    var value = ee.Number(group.get('class')).int();
+    return ee.Feature(null, {
+      year: Number(year),
+      class: ee.Dictionary(classes).get(value.format('%d')),
+      hectares: group.get('sum')
+    });
+  });
+})).flatten()).sort('class');
+
+// Series are ordered by class name, so the palette is ordered the same way
+var seriesColors = classValues.map(function(name, index) {
+  return {name: name, color: '#' + palette[index]};
+}).sort(function(a, b) {
+  return a.name < b.name ? -1 : 1;
+}).map(function(series) {
+  return series.color;
+});
+
+var areaChart = ui.Chart.feature.groups({
+  features: areaFeatures,
+  xProperty: 'year',
+  yProperty: 'hectares',
+  seriesProperty: 'class'
+}).setChartType('LineChart').setOptions({
+  title: 'Area per class (hectares)',
+  hAxis: {title: 'Year', format: '####'},
+  vAxis: {title: 'Hectares'},
+  colors: seriesColors
+});
+
+var controlPanel = ui.Panel({
+  widgets: [
+    ui.Label({value: 'GCC Coastal Land Cover', style: {fontWeight: 'bold', fontSize: '20px'}}),
+    ui.Label('Left map year'),
+    leftSelect,
+    ui.Label('Right map year'),
+    rightSelect,
+    legend,
+    inspector,
+    areaChart
+  ],
+  style: {width: '380px', padding: '8px'}
+});
+
+// Assemble the app
+ui.root.clear();
+ui.root.add(ui.Panel({
+  widgets: [controlPanel, splitPanel],
+  layout: ui.Panel.Layout.Flow('horizontal'),
+  style: {stretch: 'both'}
+}));
+
+showYear(leftMap, leftSelect.getValue());
+showYear(rightMap, rightSelect.getValue());
+leftMap.centerObject(region);
@@ -0,0 +1,175 @@
+/*
+ *  Analyzing the influence of climate and anthropogenic development on vegetation cover in the coastal ecosystems of GCC
+ *
+ *  Authors: Abhilash Dutta Roy, Midhun Mohan, Aaron Althauser, Amare Gebrie, Meshal Abdullah, Talal Al-Awadhi, Ahmed M El Kenawy
+ *  Script Authors: Aaron Althauser &  Abhilash Dutta Roy
+ *
+ *  The goal of this script is to analyze the trends of the vegetation indices over the yearly composites of the study.
+ *  Composites are taken from the corresponding script "1_GCC_LULC_featureCorrelation" and classified images from "2_GCC_LULC_classification".
+ *  Per-pixel Sen's slope and Mann-Kendall significance are exported as a GEE asset, class summaries and time series as CSV files.
+ */
+
+// Load the shared configuration
+var config = require('users/aaronalt/gcc_lulc:gcc_lulc_config');
+
+// Define class labels
+var classes = config.classes;
+
+// Define the study years, region and indices to analyze
+var startYear = config.startYear;
+var endYear = config.endYear;
+var region = gcc.geometry();
+var trendIndices = config.trendBands;
+
+// Significance level of the Mann-Kendall test and year of the class masks for the trend summaries
+var alpha = 0.05;
+var maskYear = endYear;
+
+// Load the yearly composites with a constant 'year' band
+var years = [];
+var composites = [];
+for (var y = startYear; y <= endYear; y++) {
+  years.push(y);
+  composites.push(ee.Image(config.assetId(config.processedName(y)))
+    .select(trendIndices)
+    .addBands(ee.Image.constant(y).float().rename('year'))
+    .set('year', y));
+}
+
+////////////////////////////////////////
+/*    Sen's Slope and Mann-Kendall    */
+////////////////////////////////////////
+
+/**
+ * Function to compute the Sen's slope and Mann-Kendall test of an index
+ * @param {string} index - name of the index band
+ * @return {ee.Image} slope, offset, S statistic, Z score and p-value bands prefixed with the index name
+ */
+var trendForIndex = function(index) {
+  var series = composites.map(function(img) {
+    return img.select(['year', index]);
+  });
+
+  // Sen's slope of the index against the year
+  var sens = ee.ImageCollection(series).reduce(ee.Reducer.sensSlope());
+
+  // Mann-Kendall S statistic, the sum of the signs of all later-minus-earlier differences
+  var signs = [];
+  for (var i = 0; i < series.length - 1; i++) {
+    for (var j = i + 1; j < series.length; j++) {
+      signs.push(series[j].select(index).subtract(series[i].select(index)).signum());
+    }
+  }
+  var s = ee.ImageCollection(signs).sum().rename('S');
+
+  // Variance of S without tie correction, from the number of valid years of each pixel
+  var n = ee.ImageCollection(series).select(index).count();
+  var variance = n.multiply(n.subtract(1)).multiply(n.multiply(2).add(5)).divide(18);
+
+  // Continuity-corrected Z score and two-sided p-value
+  var z = s.subtract(s.signum()).divide(variance.sqrt()).rename('Z');
+  var p = ee.Image(1).subtract(z.abs().divide(Math.sqrt(2)).erf()).rename('p');
+
+  return sens.addBands([s, z, p]).rename(['slope', 'offset', 'S', 'Z', 'p'].map(function(band) {
+    return index + '_' + band;
+  }));
+};
+
+var trends = ee.Image(trendIndices.map(trendForIndex));
+
+// Export the trend raster
+Export.image.toAsset({
+  image: trends.toFloat().clip(region),
+  description: config.trendName(startYear, endYear),
+  assetId: config.assetId(config.trendName(startYear, endYear)),
+  scale: 30,
+  region: region,
+  maxPixels: 1e10
+});
+
+////////////////////////////////////////
+/*    Trend Summaries per Class    */
+////////////////////////////////////////
+
+var classMask = ee.Image(config.assetId(config.classifiedName(maskYear))).rename('class');
+
+/**
+ * Function to summarize the trend of an index inside each class mask
+ * @param {string} index - name of the index band
+ * @return {ee.List} one feature per class with the mean slope and the greening and browning fractions
+ */
+var summarizeTrend = function(index) {
+  var slope = trends.select(index + '_slope');
+  var significant = trends.select(index + '_p').lt(alpha);
+  var greening = significant.and(slope.gt(0)).rename('greening');
+  var browning = significant.and(slope.lt(0)).rename('browning');
+
+  var groups = ee.List(slope.addBands([greening, browning, classMask]).reduceRegion({
+    reducer: ee.Reducer.mean().repeat(3).group({groupField: 3, groupName: 'class'}),
+    geometry: region,
+    scale: 30,
+    maxPixels: 1e13,
+    tileScale: 4
+  }).get('groups'));
+
+  return groups.map(function(group) {
+    group = ee.Dictionary(group);
+    var means = ee.List(group.get('mean'));
+    var value = ee.Number(group.get('class')).int();
+    return ee.Feature(null, {
+      'index': index,
+      'class': ee.Dictionary(classes).get(value.format('%d')),
+      'value': value,
+      'maskYear': maskYear,
+      'meanSlope': means.get(0),
+      'greeningFraction': means.get(1),
+      'browningFraction': means.get(2)
+    });
+  });
+};
+
+var trendSummary = ee.FeatureCollection(ee.List(trendIndices.map(summarizeTrend)).flatten());
+print('Trend summary per class:', trendSummary);
+
+// Export the trend summaries as a CSV file
+Export.table.toDrive({
+  collection: trendSummary,
+  description: 'vegetation_trend_summary_' + startYear + '_' + endYear,
+  folder: config.driveFolder,
+  fileFormat: 'CSV'
+});
+
+////////////////////////////////////////
+/*    Index Time Series per Class    */
+////////////////////////////////////////
+
+// Mean of each index per class and year, with the classes of the same year
+var timeSeries = ee.FeatureCollection(ee.List(composites.map(function(img, t) {
+  var classified = ee.Image(config.assetId(config.classifiedName(years[t]))).rename('class');
+  var groups = ee.List(img.select(trendIndices).addBands(classified).reduceRegion({
+    reducer: ee.Reducer.mean().repeat(trendIndices.length).group({groupField: trendIndices.length, groupName: 'class'}),
+    geometry: region,
+    scale: 30,
+    maxPixels: 1e13,
+    tileScale: 4
+  }).get('groups'));
+
+  return groups.map(function(group) {
+    group = ee.Dictionary(group);
+    var value = ee.Number(group.get('class')).int();
+    return ee.Feature(null, ee.Dictionary.fromLists(trendIndices, ee.List(group.get('mean'))).combine({
+      'year': years[t],
+      'class': ee.Dictionary(classes).get(value.format('%d')),
+      'value': value
+    }));
+  });
+})).flatten());
+
+// Export the time series as a CSV file
+Export.table.toDrive({
+  collection: timeSeries,
+  description: 'vegetation_index_time_series_' + startYear + '_' + endYear,
+  folder: config.driveFolder,
+  fileFormat: 'CSV',
+  selectors: ['year', 'class', 'value'].concat(trendIndices)
+});
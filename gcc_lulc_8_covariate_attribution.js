@@ -0,0 +1,216 @@
+/*
+ *  Analyzing the influence of climate and anthropogenic development on vegetation cover in the coastal ecosystems of GCC
+ *
+ *  Authors: Abhilash Dutta Roy, Midhun Mohan, Aaron Althauser, Amare Gebrie, Meshal Abdullah, Talal Al-Awadhi, Ahmed M El Kenawy
+ *  Script Authors: Aaron Althauser &  Abhilash Dutta Roy
+ *
+ *  The goal of this script is to attribute vegetation change to climate and anthropogenic covariates.
+ *  Annual covariate stacks are aligned to the study region and 30 m grid, then class area or mean NDVI per zone is regressed on them.
+ *  The regression runs on the zonal table with "gcc_lulc_regression", which also fits a local CSV copy of the table offline.
+ *  Composites are taken from "1_GCC_LULC_featureCorrelation" and classified images from "2_GCC_LULC_classification".
+ */
+
+// Load the shared configuration and the regression functions
+var config = require('users/aaronalt/gcc_lulc:gcc_lulc_config');
+var regression = require('users/aaronalt/gcc_lulc:gcc_lulc_regression');
+
+// Define the study years and region
+var startYear = config.startYear;
+var endYear = config.endYear;
+var region = gcc.geometry();
+
+// Covariate source: 'cache' loads the aligned stacks named by config.covariateName, 'catalog' builds them from the
+// public datasets and 'table' skips the zonal statistics and reads the zonal table CSV exported below, uploaded
+// as the table asset named by config.covariateTableName. Set cacheCovariates to true to export the catalog stacks into the cache.
+var covariateSource = 'cache';
+var cacheCovariates = false;
+var crs = 'EPSG:4326';
+
+// Covariates of the regression and maximum distance in meters to Artificial pixels. DMSP-OLS digital numbers
+// and VIIRS radiance are not comparable, so each sensor has its own lights term (0 outside its years) and
+// viirsPeriod absorbs the level shift between them
+var covariates = ['precipitation', 'temperature', 'pdsi', 'dmspLights', 'viirsLights', 'viirsPeriod', 'distArtificial'];
+var maxArtificialDistance = 20000;
+
+// Response: 'ndvi' for the zonal mean NDVI, 'area' for the zonal hectares of responseClass
+var response = 'ndvi';
+var responseClass = 1;
+
+// Zones of the regressions and scale of the zonal statistics. The class area response is summed at the
+// 30 m scale of the classified images, coarser reads would count the class on pyramid pixels
+var gccCountries = ['Bahrain', 'Kuwait', 'Oman', 'Qatar', 'Saudi Arabia', 'United Arab Emirates'];
+var zones = ee.FeatureCollection('FAO/GAUL/2015/level0').filter(ee.Filter.inList('ADM0_NAME', gccCountries));
+var zoneProperty = 'ADM0_NAME';
+var statsScale = 300;
+var responseScale = response === 'area' ? 30 : statsScale;
+
+/**
+ * Function to load the classified image of a year
+ * @param {number} year - year of the classified image
+ * @return {ee.Image} classified image
+ */
+var loadClassified = function(year) {
+  return ee.Image(config.assetId(config.classifiedName(year)));
+};
+
+////////////////////////////////////////
+/*    Covariate Stacks    */
+////////////////////////////////////////
+
+/**
+ * Function to build the covariate stack of a year from the public catalogs
+ * @param {number} year - year of the stack
+ * @return {ee.Image} precipitation (mm), temperature (deg C), PDSI, DMSP-OLS and VIIRS nighttime lights,
+ *     VIIRS period indicator and distance to Artificial (m)
+ */
+var buildCovariates = function(year) {
+  var start = ee.Date.fromYMD(year, 1, 1);
+  var end = start.advance(1, 'year');
+
+  var precipitation = ee.ImageCollection('UCSB-CHG/CHIRPS/DAILY').filterDate(start, end)
+    .select('precipitation').sum().rename('precipitation');
+  var temperature = ee.ImageCollection('ECMWF/ERA5_LAND/MONTHLY_AGGR').filterDate(start, end)
+    .select('temperature_2m').mean().subtract(273.15).rename('temperature');
+  var pdsi = ee.ImageCollection('IDAHO_EPSCOR/TERRACLIMATE').filterDate(start, end)
+    .select('pdsi').mean().multiply(0.01).rename('pdsi');
+
+  // DMSP-OLS stable lights (0-63 DN) until 2013 and VIIRS radiance (nW/cm2/sr) afterwards, masked before 1992
+  var dmspLights = ee.Image.constant(0);
+  var viirsLights = ee.Image.constant(0);
+  if (year >= 2014) {
+    viirsLights = ee.ImageCollection('NOAA/VIIRS/DNB/MONTHLY_V1/VCMSLCFG').filterDate(start, end).select('avg_rad').mean();
+  } else if (year >= 1992) {
+    dmspLights = ee.ImageCollection('NOAA/DMSP-OLS/NIGHTTIME_LIGHTS').filterDate(start, end).select('stable_lights').mean();
+  } else {
+    dmspLights = dmspLights.updateMask(0);
+  }
+  var viirsPeriod = ee.Image.constant(year >= 2014 ? 1 : 0);
+
+  var distArtificial = loadClassified(year).eq(7).selfMask()
+    .distance(ee.Kernel.euclidean(maxArtificialDistance, 'meters'))
+    .unmask(maxArtificialDistance)
+    .rename('distArtificial');
+
+  return ee.Image([precipitation, temperature, pdsi, dmspLights.rename('dmspLights'), viirsLights.rename('viirsLights'),
+    viirsPeriod.rename('viirsPeriod')])
+    .resample('bilinear')
+    .addBands(distArtificial)
+    .reproject({crs: crs, scale: 30})
+    .clip(region)
+    .toFloat();
+};
+
+/**
+ * Function to load the covariate stack of a year from the configured source
+ * @param {number} year - year of the stack
+ * @return {ee.Image} covariate bands
+ */
+var loadCovariates = function(year) {
+  if (covariateSource === 'cache') {
+    return ee.Image(config.assetId(config.covariateName(year))).select(covariates);
+  }
+  return buildCovariates(year).select(covariates);
+};
+
+// Export the aligned catalog stacks as the covariate cache
+if (cacheCovariates) {
+  for (var y = startYear; y <= endYear; y++) {
+    Export.image.toAsset({
+      image: buildCovariates(y),
+      description: 'covariates_' + y,
+      assetId: config.assetId(config.covariateName(y)),
+      crs: crs,
+      scale: 30,
+      region: region,
+      maxPixels: 1e13
+    });
+  }
+}
+
+////////////////////////////////////////
+/*    Zonal Table    */
+////////////////////////////////////////
+
+/**
+ * Function to build the response image of a year
+ * @param {number} year - year of the response
+ * @return {ee.Image} NDVI or hectares of responseClass per pixel
+ */
+var loadResponse = function(year) {
+  if (response === 'area') {
+    return ee.Image.pixelArea().divide(10000).updateMask(loadClassified(year).eq(responseClass));
+  }
+  return ee.Image(config.assetId(config.processedName(year))).select('NDVI');
+};
+
+// One feature per zone and year with the response and the zonal mean of each covariate
+var zonalTableName = config.covariateTableName(response, startYear, endYear);
+var zonalTable = ee.FeatureCollection([]);
+if (covariateSource === 'table') {
+  zonalTable = ee.FeatureCollection(config.assetId(zonalTableName));
+} else {
+  for (var year = startYear; year <= endYear; year++) {
+    var responseReducer = (response === 'area' ? ee.Reducer.sum() : ee.Reducer.mean()).setOutputs(['response']);
+    var withResponse = loadResponse(year).reduceRegions({
+      collection: zones.select([zoneProperty]),
+      reducer: responseReducer,
+      scale: responseScale,
+      tileScale: 4
+    });
+    zonalTable = zonalTable.merge(loadCovariates(year).reduceRegions({
+      collection: withResponse,
+      reducer: ee.Reducer.mean(),
+      scale: statsScale,
+      tileScale: 4
+    }).map(function(feature) {
+      return feature.setGeometry(null).set('year', year);
+    }));
+  }
+}
+
+// Export the zonal table as a CSV file
+if (covariateSource !== 'table') {
+  Export.table.toDrive({
+    collection: zonalTable,
+    description: zonalTableName,
+    folder: config.driveFolder,
+    fileFormat: 'CSV',
+    selectors: [zoneProperty, 'year', 'response'].concat(covariates)
+  });
+}
+
+////////////////////////////////////////
+/*    Regression per Zone    */
+////////////////////////////////////////
+
+// Fit the regressions on the evaluated zonal table, p-values follow the Student t distribution with 'dof' degrees of freedom.
+// Evaluating the zonal statistics of every year may time out, the exported table can then be read with covariateSource = 'table'
+zonalTable.evaluate(function(table, error) {
+  if (error) {
+    print('Covariate regression failed to evaluate the zonal table:', error);
+    return;
+  }
+  var rows = table.features.map(function(feature) {
+    return feature.properties;
+  });
+  var fits = regression.fitZones(rows, zoneProperty, 'response', covariates);
+  fits.forEach(function(result) {
+    if (result.skipReason) {
+      print('Covariate regression skipped for ' + result.zone + ':', result.skipReason);
+    }
+  });
+  var regressionResults = ee.FeatureCollection(fits.map(function(result) {
+    result.response = response;
+    return ee.Feature(null, result);
+  }));
+  print('Covariate regression:', regressionResults);
+
+  // Export the coefficients and their significance as a CSV file
+  Export.table.toDrive({
+    collection: regressionResults,
+    description: 'covariate_regression_' + response + '_' + startYear + '_' + endYear,
+    folder: config.driveFolder,
+    fileFormat: 'CSV',
+    selectors: ['zone', 'term', 'coefficient', 'stdError', 't', 'pValue', 'n', 'dof', 'r2', 'response', 'skipReason']
+  });
+});
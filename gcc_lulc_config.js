@@ -0,0 +1,292 @@
+/*
+ *  Analyzing the influence of climate and anthropogenic development on vegetation cover in the coastal ecosystems of GCC
+ *
+ *  Authors: Abhilash Dutta Roy, Midhun Mohan, Aaron Althauser, Amare Gebrie, Meshal Abdullah, Talal Al-Awadhi, Ahmed M El Kenawy
+ *  Script Authors: Aaron Althauser &  Abhilash Dutta Roy
+ *
+ *  Shared configuration of the pipeline: project root, study years, sensors, band lists, classes with their legend and the asset naming contract.
+ *  Every script loads it with:
+ *    var config = require('users/aaronalt/gcc_lulc:gcc_lulc_config');
+ */
+
+//////////////////////
+/* Project and Years */
+//////////////////////
+
+/* Asset folder of the project, every asset of the pipeline is read from and exported to it */
+exports.projectRoot = 'projects/gcc-coastline-map/assets/';
+
+/* Google Drive folder of the table exports */
+exports.driveFolder = 'GCC_LULC';
+
+exports.startYear = 1987;
+exports.endYear = 2021;
+
+/**
+ * Lists the study years
+ * @return {Array<number>} years from startYear to endYear
+ */
+exports.years = function() {
+  var years = [];
+  for (var year = exports.startYear; year <= exports.endYear; year++) {
+    years.push(year);
+  }
+  return years;
+};
+
+/**
+ * Picks the Landsat sensor covering a given year. Landsat 5 is used until its
+ * decommissioning in 2011, Landsat 7 bridges 2012 and Landsat 8 is used from 2013.
+ * @param {number} year - year of the composite
+ * @return {string} sensor key, 'L5', 'L7' or 'L8'
+ */
+exports.sensorForYear = function(year) {
+  if (year >= 2013) {
+    return 'L8';
+  }
+  if (year === 2012) {
+    return 'L7';
+  }
+  return 'L5';
+};
+
+/* Compositing mode of script 1: 'single' uses the sensor of sensorForYear, 'merged' combines every
+ * sensor operating in the year (e.g. L5 and L7, or L7 and L8) after harmonization */
+exports.compositingMode = 'single';
+
+/* First and last year of operation of each sensor, null for a sensor still operating */
+exports.sensorYears = {
+  'L5': [1984, 2011],
+  'L7': [1999, 2024],
+  'L8': [2013, null]
+};
+
+/**
+ * Lists the sensors composited for a year in the configured compositing mode
+ * @param {number} year - year of the composite
+ * @return {Array<string>} sensor keys, a single one in 'single' mode
+ */
+exports.sensorsForYear = function(year) {
+  if (exports.compositingMode === 'single') {
+    return [exports.sensorForYear(year)];
+  }
+  return Object.keys(exports.sensorYears).filter(function(sensor) {
+    var years = exports.sensorYears[sensor];
+    return year >= years[0] && (years[1] === null || year <= years[1]);
+  });
+};
+
+/**
+ * Labels the sensors of a composite in table fields and asset names
+ * @param {number} year - year of the composite
+ * @return {string} sensor keys joined by '_', e.g. 'L8' or 'L7_L8'
+ */
+exports.sensorLabel = function(year) {
+  return exports.sensorsForYear(year).join('_');
+};
+
+/////////////////
+/* Band Lists */
+/////////////////
+
+/* Bands ranked first by the feature selection of script 1 */
+exports.bandPriority = ['NDVI', 'EVI', 'MVI', 'MSI', 'BSI', 'elevation', 'slope'];
+
+/* Indices always exported with the selected bands for the vegetation trend analysis */
+exports.trendBands = ['NDVI', 'EVI', 'MVI'];
+
+/* Number of principal components exported as the alternative feature set */
+exports.numComponents = 6;
+
+/**
+ * Lists the principal component band names of the PCA feature set
+ * @return {Array<string>} 'pc1' to 'pc<numComponents>'
+ */
+exports.pcaBands = function() {
+  var bands = [];
+  for (var pc = 1; pc <= exports.numComponents; pc++) {
+    bands.push('pc' + pc);
+  }
+  return bands;
+};
+
+//////////////
+/* Classes */
+//////////////
+
+/* Class labels keyed by class value */
+exports.classes = {
+  1: 'Mangrove',
+  2: 'Agriculture',
+  3: 'DenseVeg',
+  4: 'SparseVeg',
+  5: 'UrbanGreen',
+  6: 'Bare',
+  7: 'Artificial',
+  8: 'Water'
+};
+
+/* Class values, labels and colors in the same order */
+exports.classValues = [1, 2, 3, 4, 5, 6, 7, 8];
+exports.classNames = ['Mangrove', 'Agriculture', 'DenseVeg', 'SparseVeg', 'UrbanGreen', 'Bare', 'Artificial', 'Water'];
+exports.palette = ['b99470', 'fefae0', 'a9b388', '5f6f52', 'f2d388', 'c98474', '874c62', 'a7d2cb'];
+
+/* Visualization parameters of the classified images */
+exports.classVis = {min: 1, max: 8, palette: exports.palette};
+
+/**
+ * Creates a legend row
+ * @param {string} color - color for the class
+ * @param {string} name - name of the class
+ * @return {ui.Panel} legend row
+ */
+exports.makeRow = function(color, name) {
+  var colorBox = ui.Label({
+    style: {
+      backgroundColor: color,
+      padding: '8px',
+      margin: '0 0 4px 0'
+    }
+  });
+
+  var description = ui.Label({
+    value: name,
+    style: {margin: '0 0 4px 6px'}
+  });
+
+  return ui.Panel({
+    widgets: [colorBox, description],
+    layout: ui.Panel.Layout.Flow('horizontal')
+  });
+};
+
+/**
+ * Creates the legend of the classified images with a row per class
+ * @param {Object} [style] - style of the legend panel
+ * @return {ui.Panel} legend panel
+ */
+exports.makeLegend = function(style) {
+  var legend = ui.Panel({style: style || {}});
+  legend.add(ui.Label({
+    value: 'Vegetation Classes',
+    style: {fontWeight: 'bold', fontSize: '16px', margin: '0 0 6px 0', padding: '0'}
+  }));
+  for (var i = 0; i < exports.classNames.length; i++) {
+    legend.add(exports.makeRow('#' + exports.palette[i], exports.classNames[i]));
+  }
+  return legend;
+};
+
+/////////////////////
+/* Asset Naming */
+/////////////////////
+
+/**
+ * Prefixes an asset name with the project root
+ * @param {string} name - asset name
+ * @return {string} asset id
+ */
+exports.assetId = function(name) {
+  return exports.projectRoot + name;
+};
+
+/**
+ * Names the composite exported by script 1
+ * @param {number} year - year of the composite
+ * @return {string} 'processed_<sensors>_<year>', see sensorLabel
+ */
+exports.processedName = function(year) {
+  return 'processed_' + exports.sensorLabel(year) + '_' + year;
+};
+
+/**
+ * Names the band manifest exported by script 1
+ * @param {number} year - year of the composite
+ * @return {string} 'band_manifest_<sensors>_<year>', see sensorLabel
+ */
+exports.bandManifestName = function(year) {
+  return 'band_manifest_' + exports.sensorLabel(year) + '_' + year;
+};
+
+/**
+ * Names the principal components exported by script 1
+ * @param {number} year - year of the composite
+ * @return {string} 'pca_<sensors>_<year>', see sensorLabel
+ */
+exports.pcaName = function(year) {
+  return 'pca_' + exports.sensorLabel(year) + '_' + year;
+};
+
+/**
+ * Names the classified image exported by script 2, or one of its post-processed versions
+ * @param {number} year - year of the classified image
+ * @param {string} [version] - 'raw' (default), 'smoothed' (script 2) or 'clean' (script 4)
+ * @return {string} 'ClassifiedImage_<year>', 'ClassifiedImageSmoothed_<year>' or 'ClassifiedImageClean_<year>'
+ */
+exports.classifiedName = function(year, version) {
+  var suffixes = {raw: '', smoothed: 'Smoothed', clean: 'Clean'};
+  var suffix = suffixes[version || 'raw'];
+  if (suffix === undefined) {
+    throw new Error('Unknown classified image version: ' + version);
+  }
+  return 'ClassifiedImage' + suffix + '_' + year;
+};
+
+/**
+ * Names the classification confidence layers exported by script 2
+ * @param {number} year - year of the classified image
+ * @return {string} 'ClassifiedConfidence_<year>'
+ */
+exports.confidenceName = function(year) {
+  return 'ClassifiedConfidence_' + year;
+};
+
+/**
+ * Names the interpreted accuracy sample read by script 3
+ * @param {number} year - year of the classified image
+ * @return {string} 'AccuracySample_<year>'
+ */
+exports.accuracySampleName = function(year) {
+  return 'AccuracySample_' + year;
+};
+
+/**
+ * Names the change outputs of script 5
+ * @param {string} product - 'ChangeImage', 'TransitionMatrix' or 'ChangeComponents'
+ * @param {number} fromYear - first year
+ * @param {number} toYear - second year
+ * @return {string} '<product>_<fromYear>_<toYear>'
+ */
+exports.changeName = function(product, fromYear, toYear) {
+  return product + '_' + fromYear + '_' + toYear;
+};
+
+/**
+ * Names the vegetation trend raster of script 7
+ * @param {number} startYear - first year of the series
+ * @param {number} endYear - last year of the series
+ * @return {string} 'VegetationTrends_<startYear>_<endYear>'
+ */
+exports.trendName = function(startYear, endYear) {
+  return 'VegetationTrends_' + startYear + '_' + endYear;
+};
+
+/**
+ * Names the covariate stack of script 8
+ * @param {number} year - year of the stack
+ * @return {string} 'covariates/covariates_<year>'
+ */
+exports.covariateName = function(year) {
+  return 'covariates/covariates_' + year;
+};
+
+/**
+ * Names the zonal covariate table of script 8
+ * @param {string} response - response of the regression, 'ndvi' or 'area'
+ * @param {number} startYear - first year of the table
+ * @param {number} endYear - last year of the table
+ * @return {string} 'covariate_table_<response>_<startYear>_<endYear>'
+ */
+exports.covariateTableName = function(response, startYear, endYear) {
+  return 'covariate_table_' + response + '_' + startYear + '_' + endYear;
+};
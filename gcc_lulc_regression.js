@@ -0,0 +1,309 @@
+/*
+ *  Analyzing the influence of climate and anthropogenic development on vegetation cover in the coastal ecosystems of GCC
+ *
+ *  Authors: Abhilash Dutta Roy, Midhun Mohan, Aaron Althauser, Amare Gebrie, Meshal Abdullah, Talal Al-Awadhi, Ahmed M El Kenawy
+ *  Script Authors: Aaron Althauser &  Abhilash Dutta Roy
+ *
+ *  Ordinary least squares regression of the covariate attribution on plain arrays of rows.
+ *  It has no Earth Engine dependency, so the same code runs on the evaluated zonal table of
+ *  "8_GCC_LULC_covariateAttribution" and on a local CSV copy of that table:
+ *    var regression = require('users/aaronalt/gcc_lulc:gcc_lulc_regression');
+ */
+
+/////////////////
+/* CSV Tables */
+/////////////////
+
+/**
+ * Parses a CSV table with a header row, numeric cells are converted to numbers and empty cells to null
+ * @param {string} text - CSV text, without quoted separators
+ * @return {Array<Object>} one object per row keyed by the header names
+ */
+exports.parseCsv = function(text) {
+  var lines = text.split(/\r?\n/).filter(function(line) {
+    return line.trim() !== '';
+  });
+  var header = lines[0].split(',').map(function(name) {
+    return name.trim();
+  });
+  return lines.slice(1).map(function(line) {
+    var cells = line.split(',');
+    var row = {};
+    header.forEach(function(name, i) {
+      var cell = (cells[i] || '').trim();
+      if (cell === '') {
+        row[name] = null;
+      } else {
+        row[name] = isNaN(Number(cell)) ? cell : Number(cell);
+      }
+    });
+    return row;
+  });
+};
+
+////////////////////
+/* Linear Algebra */
+////////////////////
+
+/**
+ * Inverts a square matrix with Gauss-Jordan elimination and partial pivoting
+ * @param {Array<Array<number>>} matrix - square matrix
+ * @return {Array<Array<number>>} inverse matrix
+ */
+exports.invert = function(matrix) {
+  var n = matrix.length;
+  var augmented = matrix.map(function(row, i) {
+    var identity = [];
+    for (var j = 0; j < n; j++) {
+      identity.push(i === j ? 1 : 0);
+    }
+    return row.slice().concat(identity);
+  });
+
+  for (var col = 0; col < n; col++) {
+    var pivot = col;
+    for (var r = col + 1; r < n; r++) {
+      if (Math.abs(augmented[r][col]) > Math.abs(augmented[pivot][col])) {
+        pivot = r;
+      }
+    }
+    if (Math.abs(augmented[pivot][col]) < 1e-12) {
+      throw new Error('Singular matrix, the covariates are collinear or constant');
+    }
+    var swap = augmented[col];
+    augmented[col] = augmented[pivot];
+    augmented[pivot] = swap;
+
+    var scale = augmented[col][col];
+    for (var k = 0; k < 2 * n; k++) {
+      augmented[col][k] /= scale;
+    }
+    for (var row = 0; row < n; row++) {
+      if (row !== col) {
+        var factor = augmented[row][col];
+        for (var m = 0; m < 2 * n; m++) {
+          augmented[row][m] -= factor * augmented[col][m];
+        }
+      }
+    }
+  }
+
+  return augmented.map(function(row) {
+    return row.slice(n);
+  });
+};
+
+//////////////////////////
+/* Student t Distribution */
+//////////////////////////
+
+/**
+ * Natural logarithm of the gamma function (Lanczos approximation)
+ * @param {number} x - positive argument
+ * @return {number} log gamma of x
+ */
+function logGamma(x) {
+  var coefficients = [76.18009172947146, -86.50532032941677, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+  var y = x;
+  var tmp = x + 5.5;
+  tmp -= (x + 0.5) * Math.log(tmp);
+  var series = 1.000000000190015;
+  for (var i = 0; i < coefficients.length; i++) {
+    series += coefficients[i] / ++y;
+  }
+  return -tmp + Math.log(2.5066282746310005 * series / x);
+}
+
+/**
+ * Continued fraction of the regularized incomplete beta function
+ * @param {number} x - upper limit of integration between 0 and 1
+ * @param {number} a - first shape parameter
+ * @param {number} b - second shape parameter
+ * @return {number} continued fraction value
+ */
+function betaContinuedFraction(x, a, b) {
+  var tiny = 1e-30;
+  var c = 1;
+  var d = 1 - (a + b) * x / (a + 1);
+  d = 1 / (Math.abs(d) < tiny ? tiny : d);
+  var result = d;
+  for (var m = 1; m <= 200; m++) {
+    var m2 = 2 * m;
+    var even = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+    d = 1 + even * d;
+    d = 1 / (Math.abs(d) < tiny ? tiny : d);
+    c = 1 + even / c;
+    c = Math.abs(c) < tiny ? tiny : c;
+    result *= d * c;
+
+    var odd = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+    d = 1 + odd * d;
+    d = 1 / (Math.abs(d) < tiny ? tiny : d);
+    c = 1 + odd / c;
+    c = Math.abs(c) < tiny ? tiny : c;
+    var delta = d * c;
+    result *= delta;
+    if (Math.abs(delta - 1) < 1e-12) {
+      break;
+    }
+  }
+  return result;
+}
+
+/**
+ * Regularized incomplete beta function I_x(a, b)
+ * @param {number} x - upper limit of integration between 0 and 1
+ * @param {number} a - first shape parameter
+ * @param {number} b - second shape parameter
+ * @return {number} I_x(a, b)
+ */
+exports.incompleteBeta = function(x, a, b) {
+  if (x <= 0) {
+    return 0;
+  }
+  if (x >= 1) {
+    return 1;
+  }
+  var front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  if (x < (a + 1) / (a + b + 2)) {
+    return front * betaContinuedFraction(x, a, b) / a;
+  }
+  return 1 - front * betaContinuedFraction(1 - x, b, a) / b;
+};
+
+/**
+ * Two-sided p-value of a t statistic
+ * @param {number} t - t statistic
+ * @param {number} dof - degrees of freedom
+ * @return {number} probability of |T| >= |t| under the Student t distribution
+ */
+exports.tTestPValue = function(t, dof) {
+  return exports.incompleteBeta(dof / (dof + t * t), dof / 2, 0.5);
+};
+
+////////////////////
+/* OLS Regression */
+////////////////////
+
+/**
+ * Fits an ordinary least squares regression with an intercept. Rows with a missing response or covariate are skipped.
+ * @param {Array<Object>} rows - rows with the response and covariate properties
+ * @param {string} response - name of the response property
+ * @param {Array<string>} covariates - names of the covariate properties
+ * @return {Array<Object>} one result per term ('constant' first) with coefficient, standard error,
+ *     t statistic, Student t p-value, n, degrees of freedom and R2
+ */
+exports.fitOls = function(rows, response, covariates) {
+  var terms = ['constant'].concat(covariates);
+  var complete = rows.filter(function(row) {
+    return [response].concat(covariates).every(function(name) {
+      return typeof row[name] === 'number' && isFinite(row[name]);
+    });
+  });
+  var n = complete.length;
+  var dof = n - terms.length;
+  if (dof < 1) {
+    throw new Error('Not enough rows for the regression: ' + n + ' rows for ' + terms.length + ' terms');
+  }
+
+  var x = complete.map(function(row) {
+    return [1].concat(covariates.map(function(name) {
+      return row[name];
+    }));
+  });
+  var y = complete.map(function(row) {
+    return row[response];
+  });
+
+  // Normal equations (X'X) beta = X'y
+  var xtx = terms.map(function(_, i) {
+    return terms.map(function(_, j) {
+      return x.reduce(function(sum, row) {
+        return sum + row[i] * row[j];
+      }, 0);
+    });
+  });
+  var xty = terms.map(function(_, i) {
+    return x.reduce(function(sum, row, k) {
+      return sum + row[i] * y[k];
+    }, 0);
+  });
+  var xtxInverse = exports.invert(xtx);
+  var beta = xtxInverse.map(function(row) {
+    return row.reduce(function(sum, value, j) {
+      return sum + value * xty[j];
+    }, 0);
+  });
+
+  // Residual variance and coefficient of determination
+  var yMean = y.reduce(function(sum, value) {
+    return sum + value;
+  }, 0) / n;
+  var residualSS = 0;
+  var totalSS = 0;
+  x.forEach(function(row, k) {
+    var fitted = row.reduce(function(sum, value, j) {
+      return sum + value * beta[j];
+    }, 0);
+    residualSS += Math.pow(y[k] - fitted, 2);
+    totalSS += Math.pow(y[k] - yMean, 2);
+  });
+  var sigma2 = residualSS / dof;
+  var r2 = 1 - residualSS / totalSS;
+
+  return terms.map(function(term, i) {
+    var stdError = Math.sqrt(xtxInverse[i][i] * sigma2);
+    var t = beta[i] / stdError;
+    return {
+      'term': term,
+      'coefficient': beta[i],
+      'stdError': stdError,
+      't': t,
+      'pValue': exports.tTestPValue(t, dof),
+      'n': n,
+      'dof': dof,
+      'r2': r2
+    };
+  });
+};
+
+/**
+ * Fits one regression per zone of a table
+ * @param {Array<Object>} rows - rows with the zone, response and covariate properties
+ * @param {string} zoneProperty - name of the zone property
+ * @param {string} response - name of the response property
+ * @param {Array<string>} covariates - names of the covariate properties
+ * @return {Array<Object>} fitOls results with a 'zone' property. A zone with too few rows or a singular design
+ *     gets a single row with its 'skipReason' instead, other errors are thrown
+ */
+exports.fitZones = function(rows, zoneProperty, response, covariates) {
+  var zones = [];
+  rows.forEach(function(row) {
+    if (zones.indexOf(row[zoneProperty]) === -1) {
+      zones.push(row[zoneProperty]);
+    }
+  });
+
+  var results = [];
+  zones.forEach(function(zone) {
+    var zoneRows = rows.filter(function(row) {
+      return row[zoneProperty] === zone;
+    });
+    var fit;
+    try {
+      fit = exports.fitOls(zoneRows, response, covariates);
+    } catch (error) {
+      if (!/^(Not enough rows|Singular matrix)/.test(error.message)) {
+        throw error;
+      }
+      results.push({'zone': zone, 'skipReason': error.message});
+      return;
+    }
+    fit.forEach(function(result) {
+      result.zone = zone;
+      results.push(result);
+    });
+  });
+  return results;
+};
@@ -0,0 +1,135 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var mockEe = require('./mock_ee');
+var loadScript = require('./load_script').loadScript;
+var exportsOf = require('./load_script').exportsOf;
+
+var script = loadScript('gcc_lulc_2_classification.js');
+var context = script.context;
+
+/**
+ * Creates training samples of three classes with evenly spread random values
+ * @param {number} perClass - samples per class
+ * @return {Object} feature collection value
+ */
+function classSamples(perClass) {
+  var rows = [];
+  [1, 2, 3].forEach(function(landcover) {
+    for (var i = 0; i < perClass; i++) {
+      rows.push({landcover: landcover, random: (i + 0.5) / perClass * context.split});
+    }
+  });
+  return mockEe.collection(rows);
+}
+
+/**
+ * Counts the samples per fold
+ * @param {Object} value - evaluated feature collection with 'fold' property
+ * @param {number} [landcover] - only count this class
+ * @return {Object} sample count keyed by fold
+ */
+function foldCounts(value, landcover) {
+  var counts = {};
+  value.features.forEach(function(feature) {
+    if (landcover === undefined || feature.properties.landcover === landcover) {
+      var fold = feature.properties.fold;
+      counts[fold] = (counts[fold] || 0) + 1;
+    }
+  });
+  return counts;
+}
+
+test('expandGrid builds every hyperparameter combination', function() {
+  var configs = context.expandGrid({numberOfTrees: [50, 100], variablesPerSplit: [null, 3], bagFraction: [0.5, 0.6, 0.7]});
+  assert.strictEqual(configs.length, 12);
+  assert.strictEqual(configs.filter(function(params) {
+    return !('variablesPerSplit' in params);
+  }).length, 6);
+  assert.strictEqual(JSON.stringify(configs[0]), JSON.stringify({numberOfTrees: 50, bagFraction: 0.5}));
+  assert.strictEqual(JSON.stringify(configs[11]), JSON.stringify({numberOfTrees: 100, variablesPerSplit: 3, bagFraction: 0.7}));
+});
+
+test('the samples are split 70/30 on their random value', function() {
+  var rows = [];
+  for (var i = 0; i < 1000; i++) {
+    rows.push({landcover: 1, random: (i + 0.5) / 1000});
+  }
+  var bindings = mockEe.bind([[context.samples, mockEe.collection(rows)]]);
+  assert.strictEqual(mockEe.evaluate(context.training.size(), bindings), 700);
+  assert.strictEqual(mockEe.evaluate(context.testing.size(), bindings), 300);
+});
+
+test('assignFolds spreads every class evenly over the folds', function() {
+  var folded = mockEe.evaluate(context.assignFolds(script.literal(classSamples(50)), 5));
+  assert.strictEqual(folded.features.length, 150);
+  [1, 2, 3].forEach(function(landcover) {
+    assert.strictEqual(JSON.stringify(foldCounts(folded, landcover)), JSON.stringify({0: 10, 1: 10, 2: 10, 3: 10, 4: 10}));
+  });
+});
+
+test('grouped assignFolds keeps polygons whole and stratifies every class', function() {
+  var rows = [];
+  for (var polygon = 0; polygon < 20; polygon++) {
+    for (var i = 0; i < 4; i++) {
+      rows.push({polygonId: polygon, landcover: 1, random: (polygon + 0.5) / 20 * context.split});
+    }
+  }
+  // A rare class whose polygons all drew low random values
+  for (polygon = 20; polygon < 25; polygon++) {
+    for (i = 0; i < 3; i++) {
+      rows.push({polygonId: polygon, landcover: 2, random: (polygon - 19) / 100});
+    }
+  }
+  var folded = mockEe.evaluate(context.assignFolds(script.literal(mockEe.collection(rows)), 5, 'random'));
+  var polygonFolds = {};
+  folded.features.forEach(function(feature) {
+    var id = feature.properties.polygonId;
+    polygonFolds[id] = polygonFolds[id] || {};
+    polygonFolds[id][feature.properties.fold] = true;
+  });
+  Object.keys(polygonFolds).forEach(function(id) {
+    assert.strictEqual(Object.keys(polygonFolds[id]).length, 1, 'polygon ' + id);
+  });
+  assert.strictEqual(JSON.stringify(foldCounts(folded, 1)), JSON.stringify({0: 16, 1: 16, 2: 16, 3: 16, 4: 16}));
+  assert.strictEqual(JSON.stringify(foldCounts(folded, 2)), JSON.stringify({0: 3, 1: 3, 2: 3, 3: 3, 4: 3}));
+});
+
+test('the metrics dictionary documents the run', function() {
+  var metrics = context.classificationMetrics;
+  assert.strictEqual(metrics.year, 2016);
+  assert.strictEqual(metrics.sensor, 'L8');
+  assert.strictEqual(metrics.imageId, 'projects/gcc-coastline-map/assets/processed_L8_2016');
+  assert.strictEqual(metrics.trainTestSplit, 0.7);
+  assert.strictEqual(metrics.numFolds, 5);
+  ['testSetN', 'trainSetN', 'totalSamples', 'trainClassCounts', 'testClassCounts', 'balanceStrategy',
+    'RF_bestConfig', 'RF_cvMeanAccuracy', 'RF_cvStdKappa', 'bands', 'modelComparison'].forEach(function(key) {
+    assert.ok(key in metrics, key);
+  });
+});
+
+test('the outputs are named after the year', function() {
+  var tables = exportsOf(script, 'table.toDrive').map(function(params) {
+    return params.description;
+  });
+  ['training_qa_2016', 'cross_validation_2016', 'classification_metrics_2016'].forEach(function(name) {
+    assert.ok(tables.indexOf(name) !== -1, name);
+  });
+  exportsOf(script, 'table.toDrive').forEach(function(params) {
+    assert.strictEqual(params.folder, 'GCC_LULC');
+  });
+  var assets = exportsOf(script, 'image.toAsset').map(function(params) {
+    return params.assetId;
+  });
+  assert.ok(assets.indexOf('projects/gcc-coastline-map/assets/ClassifiedImage_2016') !== -1);
+  assert.ok(assets.indexOf('projects/gcc-coastline-map/assets/ClassifiedConfidence_2016') !== -1);
+});
+
+test('fatal training data issues stop the script', function() {
+  assert.throws(function() {
+    loadScript('gcc_lulc_2_classification.js', {getInfo: function() {
+      return 3;
+    }});
+  }, /3 fatal issues/);
+});
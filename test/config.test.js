@@ -0,0 +1,63 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var loadModule = require('./load_script').loadModule;
+
+var config = loadModule('gcc_lulc_config');
+
+test('sensorForYear picks Landsat 5, 7 and 8', function() {
+  assert.strictEqual(config.sensorForYear(1987), 'L5');
+  assert.strictEqual(config.sensorForYear(2011), 'L5');
+  assert.strictEqual(config.sensorForYear(2012), 'L7');
+  assert.strictEqual(config.sensorForYear(2013), 'L8');
+});
+
+test('years covers the study period', function() {
+  var years = config.years();
+  assert.strictEqual(years[0], 1987);
+  assert.strictEqual(years[years.length - 1], 2021);
+  assert.strictEqual(years.length, 35);
+});
+
+test('script 1 outputs are named after the sensor and year', function() {
+  assert.strictEqual(config.processedName(1987), 'processed_L5_1987');
+  assert.strictEqual(config.bandManifestName(2012), 'band_manifest_L7_2012');
+  assert.strictEqual(config.pcaName(2016), 'pca_L8_2016');
+  assert.strictEqual(config.assetId(config.processedName(2016)), 'projects/gcc-coastline-map/assets/processed_L8_2016');
+});
+
+test('merged composites are named after all their sensors', function() {
+  var merged = loadModule('gcc_lulc_config', {compositingMode: 'merged'});
+  assert.deepStrictEqual(merged.sensorsForYear(1995), ['L5']);
+  assert.deepStrictEqual(merged.sensorsForYear(2005), ['L5', 'L7']);
+  assert.deepStrictEqual(merged.sensorsForYear(2012), ['L7']);
+  assert.strictEqual(merged.processedName(2016), 'processed_L7_L8_2016');
+});
+
+test('classified image names follow their version', function() {
+  assert.strictEqual(config.classifiedName(2000), 'ClassifiedImage_2000');
+  assert.strictEqual(config.classifiedName(2000, 'smoothed'), 'ClassifiedImageSmoothed_2000');
+  assert.strictEqual(config.classifiedName(2000, 'clean'), 'ClassifiedImageClean_2000');
+  assert.throws(function() {
+    config.classifiedName(2000, 'final');
+  }, /Unknown classified image version: final/);
+});
+
+test('later stages are named after their years', function() {
+  assert.strictEqual(config.confidenceName(2000), 'ClassifiedConfidence_2000');
+  assert.strictEqual(config.accuracySampleName(2000), 'AccuracySample_2000');
+  assert.strictEqual(config.changeName('TransitionMatrix', 1987, 2021), 'TransitionMatrix_1987_2021');
+  assert.strictEqual(config.trendName(1987, 2021), 'VegetationTrends_1987_2021');
+  assert.strictEqual(config.covariateName(2000), 'covariates/covariates_2000');
+  assert.strictEqual(config.covariateTableName('ndvi', 1987, 2021), 'covariate_table_ndvi_1987_2021');
+});
+
+test('classes, names and palette line up', function() {
+  assert.strictEqual(config.classNames.length, config.classValues.length);
+  assert.strictEqual(config.palette.length, config.classValues.length);
+  config.classValues.forEach(function(value, i) {
+    assert.strictEqual(config.classes[value], config.classNames[i]);
+  });
+  assert.deepStrictEqual(config.pcaBands(), ['pc1', 'pc2', 'pc3', 'pc4', 'pc5', 'pc6']);
+});
@@ -0,0 +1,94 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var loadScript = require('./load_script').loadScript;
+var exportsOf = require('./load_script').exportsOf;
+
+var scripts = [
+  'gcc_lulc_1_feature_correlation.js',
+  'gcc_lulc_2_classification.js',
+  'gcc_lulc_3_compute_area.js',
+  'gcc_lulc_4_temporal_consistency.js',
+  'gcc_lulc_5_change_detection.js',
+  'gcc_lulc_6_explorer_app.js',
+  'gcc_lulc_7_vegetation_trends.js',
+  'gcc_lulc_8_covariate_attribution.js'
+];
+
+/**
+ * Lists a property of the recorded exports of a kind
+ * @param {Object} script - result of loadScript
+ * @param {string} kind - e.g. 'image.toAsset'
+ * @param {string} name - export parameter, e.g. 'description'
+ * @return {Array<*>} parameter values in call order
+ */
+function paramsOf(script, kind, name) {
+  return exportsOf(script, kind).map(function(params) {
+    return params[name];
+  });
+}
+
+test('every script builds its graph against the mock', function() {
+  scripts.forEach(function(file) {
+    assert.doesNotThrow(function() {
+      loadScript(file);
+    }, file);
+  });
+});
+
+test('CSV tables go to the shared Drive folder', function() {
+  scripts.forEach(function(file) {
+    var script = loadScript(file);
+    ['table.toDrive', 'image.toDrive'].forEach(function(kind) {
+      exportsOf(script, kind).forEach(function(params) {
+        assert.strictEqual(params.folder, 'GCC_LULC', file + ' ' + params.description);
+      });
+    });
+  });
+});
+
+test('script 1 exports one processed composite per year', function() {
+  var assets = paramsOf(loadScript('gcc_lulc_1_feature_correlation.js'), 'image.toAsset', 'assetId')
+    .filter(function(assetId) {
+      return /\/processed_/.test(assetId);
+    });
+  assert.strictEqual(assets.length, 35);
+  assert.strictEqual(assets[0], 'projects/gcc-coastline-map/assets/processed_L5_1987');
+  assert.strictEqual(assets[25], 'projects/gcc-coastline-map/assets/processed_L7_2012');
+  assert.strictEqual(assets[34], 'projects/gcc-coastline-map/assets/processed_L8_2021');
+});
+
+test('merged composites are exported under all their sensors', function() {
+  var script = loadScript('gcc_lulc_1_feature_correlation.js', {modules: {gcc_lulc_config: {compositingMode: 'merged'}}});
+  var descriptions = paramsOf(script, 'image.toAsset', 'description');
+  assert.ok(descriptions.indexOf('Processed_L5_L7_2005') !== -1);
+  assert.ok(descriptions.indexOf('Processed_L7_L8_2016') !== -1);
+});
+
+test('classified images keep the modal class in their pyramids', function() {
+  ['gcc_lulc_2_classification.js', 'gcc_lulc_4_temporal_consistency.js'].forEach(function(file) {
+    exportsOf(loadScript(file), 'image.toAsset').filter(function(params) {
+      return /\/ClassifiedImage/.test(params.assetId);
+    }).forEach(function(params) {
+      assert.strictEqual(JSON.stringify(params.pyramidingPolicy), JSON.stringify({'.default': 'mode'}), params.assetId);
+    });
+  });
+  var raw = exportsOf(loadScript('gcc_lulc_2_classification.js'), 'image.toAsset').map(function(params) {
+    return params.description;
+  });
+  assert.ok(raw.indexOf('ClassifiedImageSmoothed_2016') !== -1);
+});
+
+test('script 4 writes a clean map per year', function() {
+  var descriptions = paramsOf(loadScript('gcc_lulc_4_temporal_consistency.js'), 'image.toAsset', 'description');
+  assert.strictEqual(descriptions.length, 35);
+  assert.strictEqual(descriptions[0], 'ClassifiedImageClean_1987');
+});
+
+test('script 5 stores the change tables as assets', function() {
+  var assets = paramsOf(loadScript('gcc_lulc_5_change_detection.js'), 'table.toAsset', 'assetId');
+  assert.strictEqual(assets.length, 2);
+  assert.ok(/\/TransitionMatrix_\d{4}_\d{4}$/.test(assets[0]), assets[0]);
+  assert.ok(/\/ChangeComponents_\d{4}_\d{4}$/.test(assets[1]), assets[1]);
+});
@@ -0,0 +1,75 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var mockEe = require('./mock_ee');
+var loadScript = require('./load_script').loadScript;
+
+var script = loadScript('gcc_lulc_1_feature_correlation.js');
+var context = script.context;
+var dem = mockEe.bind([[context.dem, mockEe.pixel({elevation: 4})]]);
+
+/* Harmonized reflectances of a vegetated and a water pixel */
+var vegetation = {blue: 0.03, green: 0.06, red: 0.04, nir: 0.35, swir1: 0.18, swir2: 0.09};
+var water = {blue: 0.08, green: 0.07, red: 0.05, nir: 0.02, swir1: 0.01, swir2: 0.005};
+
+/**
+ * Renames harmonized reflectances to the Landsat 8 band names
+ * @param {Object} reflectances - band values keyed by common band name
+ * @return {Object} band values keyed by Landsat 8 band name
+ */
+function toL8(reflectances) {
+  return {SR_B2: reflectances.blue, SR_B3: reflectances.green, SR_B4: reflectances.red,
+    SR_B5: reflectances.nir, SR_B6: reflectances.swir1, SR_B7: reflectances.swir2};
+}
+
+/**
+ * Adds the indices of script 1 to a pixel
+ * @param {string} sensorName - key of bandMaps
+ * @param {Object} bands - band values keyed by band name
+ * @param {Array<string>} [indexNames] - requested indices
+ * @return {Object} band values of the result
+ */
+function indicesOf(sensorName, bands, indexNames) {
+  var image = script.literal(mockEe.pixel(bands));
+  return mockEe.evaluate(context.addIndices(sensorName, indexNames)(image), dem).bands;
+}
+
+test('NDVI follows its formula with the sensor band map', function() {
+  var bands = indicesOf('L8', toL8(vegetation), ['NDVI']);
+  assert.ok(Math.abs(bands.NDVI - (0.35 - 0.04) / (0.35 + 0.04)) < 1e-12);
+  assert.strictEqual(bands.elevation, 4);
+});
+
+test('every registered index is finite on vegetation and water', function() {
+  [vegetation, water].forEach(function(reflectances) {
+    var bands = indicesOf('L8', toL8(reflectances));
+    context.indexRegistry.forEach(function(index) {
+      assert.ok(isFinite(bands[index.name]), index.name + ' = ' + bands[index.name]);
+    });
+  });
+});
+
+test('AVI is 0 where nir is below red', function() {
+  assert.strictEqual(indicesOf('L8', toL8(water), ['AVI']).AVI, 0);
+  assert.ok(indicesOf('L8', toL8(vegetation), ['AVI']).AVI > 0);
+});
+
+test('scenes renamed to the common bands get no duplicate bands', function() {
+  var names = Object.keys(indicesOf('common', vegetation, ['NDVI']));
+  assert.deepStrictEqual(names.filter(function(name) {
+    return /_1$/.test(name);
+  }), []);
+});
+
+test('getBandNames lists the common, terrain and index bands', function() {
+  assert.deepStrictEqual(Array.from(context.getBandNames(['NDVI', 'EVI'])),
+    ['blue', 'green', 'red', 'nir', 'swir1', 'swir2', 'elevation', 'slope', 'NDVI', 'EVI']);
+  assert.strictEqual(context.getBandNames(null).length, 8 + context.indexRegistry.length);
+});
+
+test('getIndices rejects unknown indices', function() {
+  assert.throws(function() {
+    context.getIndices(['NDVI', 'XYZ']);
+  }, /Unknown spectral index: XYZ/);
+});
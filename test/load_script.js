@@ -0,0 +1,90 @@
+/*
+ *  Loads the pipeline scripts in Node with the Earth Engine stand-in of mock_ee.js.
+ *
+ *  A script runs in its own context with `ee`, `Map`, `ui`, `Export`, `print`, `gcc`, `training_data`
+ *  and `require`, so its top-level variables and functions can be imported by the tests.
+ */
+
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+var mockEe = require('./mock_ee');
+
+var repoRoot = path.join(__dirname, '..');
+
+/**
+ * Loads a shared module of the repository the way the Code Editor require() does
+ * @param {string} name - module file name without extension, e.g. 'gcc_lulc_config'
+ * @param {Object} [overrides] - exports replaced after loading
+ * @param {Object} [context] - vm context whose globals (ui, ee, ...) the module sees
+ * @return {Object} fresh exports of the module
+ */
+function loadModule(name, overrides, context) {
+  var moduleExports = {};
+  var source = fs.readFileSync(path.join(repoRoot, name + '.js'), 'utf8');
+  if (context) {
+    vm.runInContext('(function(exports) {' + source + '\n})', context, {filename: name + '.js'})(moduleExports);
+  } else {
+    new Function('exports', source)(moduleExports);
+  }
+  return Object.assign(moduleExports, overrides);
+}
+
+/**
+ * Runs a pipeline script against the stand-in
+ * @param {string} file - script file name, e.g. 'gcc_lulc_1_feature_correlation.js'
+ * @param {Object} [options] - modules: exports overrides keyed by module name,
+ *     getInfo(node): value of synchronous getInfo() calls
+ * @return {Object} context with the top-level variables, recorder with exports, prints and evaluations,
+ *     literal(value) creating graph inputs, and the loaded modules
+ */
+function loadScript(file, options) {
+  options = options || {};
+  var graph = mockEe.createGraph({getInfo: options.getInfo});
+  var modules = {};
+
+  var context = Object.assign({}, graph.globals, {
+    require: function(modulePath) {
+      var match = /^users\/aaronalt\/gcc_lulc:(\w+)$/.exec(modulePath);
+      if (!match) {
+        throw new Error('Unknown module: ' + modulePath);
+      }
+      var name = match[1];
+      if (!modules[name]) {
+        modules[name] = loadModule(name, (options.modules || {})[name], context);
+      }
+      return modules[name];
+    }
+  });
+  vm.createContext(context);
+  vm.runInContext(fs.readFileSync(path.join(repoRoot, file), 'utf8'), context, {filename: file});
+
+  return {
+    context: context,
+    recorder: graph.recorder,
+    literal: graph.literal,
+    modules: modules
+  };
+}
+
+/**
+ * Lists the recorded exports of a kind
+ * @param {Object} script - result of loadScript
+ * @param {string} kind - e.g. 'image.toAsset' or 'table.toDrive'
+ * @return {Array<Object>} export parameters in call order
+ */
+function exportsOf(script, kind) {
+  return script.recorder.exports.filter(function(item) {
+    return item.kind === kind;
+  }).map(function(item) {
+    return item.params;
+  });
+}
+
+module.exports = {
+  loadModule: loadModule,
+  loadScript: loadScript,
+  exportsOf: exportsOf
+};
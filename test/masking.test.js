@@ -0,0 +1,40 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var mockEe = require('./mock_ee');
+var loadScript = require('./load_script').loadScript;
+
+var script = loadScript('gcc_lulc_1_feature_correlation.js');
+
+/**
+ * Evaluates whether a cloud mask keeps a pixel
+ * @param {function} maskFunction - mask function of script 1
+ * @param {Object} bands - band values of the pixel
+ * @return {boolean} true if the pixel stays valid
+ */
+function keeps(maskFunction, bands) {
+  return mockEe.evaluate(maskFunction(script.literal(mockEe.pixel(bands)))).mask;
+}
+
+test('maskL5sr keeps clear pixels', function() {
+  assert.strictEqual(keeps(script.context.maskL5sr, {QA_PIXEL: 0, QA_RADSAT: 0}), true);
+  assert.strictEqual(keeps(script.context.maskL5sr, {QA_PIXEL: 1 << 6, QA_RADSAT: 0}), true);
+});
+
+test('maskL5sr removes dilated clouds, clouds and cloud shadows', function() {
+  [1, 3, 4].forEach(function(bit) {
+    assert.strictEqual(keeps(script.context.maskL5sr, {QA_PIXEL: 1 << bit, QA_RADSAT: 0}), false, 'bit ' + bit);
+  });
+});
+
+test('maskL5sr removes saturated pixels', function() {
+  assert.strictEqual(keeps(script.context.maskL5sr, {QA_PIXEL: 0, QA_RADSAT: 1 << 2}), false);
+});
+
+test('maskL8sr removes clouds and cloud shadows only', function() {
+  assert.strictEqual(keeps(script.context.maskL8sr, {QA_PIXEL: 0}), true);
+  assert.strictEqual(keeps(script.context.maskL8sr, {QA_PIXEL: 1 << 3}), false);
+  assert.strictEqual(keeps(script.context.maskL8sr, {QA_PIXEL: 1 << 5}), false);
+  assert.strictEqual(keeps(script.context.maskL8sr, {QA_PIXEL: 1 << 1}), true);
+});
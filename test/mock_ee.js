@@ -0,0 +1,689 @@
+/*
+ *  Stand-in for the Earth Engine client library and the Code Editor globals, used by the offline tests.
+ *
+ *  Every call on `ee` returns a node of a recorded computation graph instead of a server object, so the
+ *  pipeline scripts run unchanged in Node. Callbacks of map() and iterate() are traced with parameter
+ *  nodes like the real client does, exports and prints are recorded, and evaluate() evaluates a small
+ *  subset of the graph (numbers, lists, dictionaries, features, collections and single pixels) locally.
+ */
+
+'use strict';
+
+var NODE = Symbol('eeNode');
+
+/* Methods whose function arguments are traced with parameter nodes */
+var tracedMethods = ['map', 'iterate'];
+
+/**
+ * Creates a graph recorder with its root nodes
+ * @param {Object} [options] - getInfo(node) returns the value of synchronous getInfo() calls
+ * @return {Object} root nodes, the Code Editor globals and the recorded exports, prints and evaluations
+ */
+function createGraph(options) {
+  options = options || {};
+  var recorder = {exports: [], prints: [], evaluations: []};
+  var counter = 0;
+
+  function makeNode(spec) {
+    spec.id = counter++;
+    var proxy = new Proxy(function() {}, {
+      get: function(target, prop) {
+        if (prop === NODE) {
+          return spec;
+        }
+        if (prop === Symbol.toPrimitive || prop === 'toString') {
+          return function() {
+            return '<ee ' + (pathOf(spec) || spec.type) + '>';
+          };
+        }
+        if (typeof prop === 'symbol' || prop === 'then') {
+          return undefined;
+        }
+        if (prop === 'getInfo') {
+          return function() {
+            return options.getInfo ? options.getInfo(proxy) : undefined;
+          };
+        }
+        if (prop === 'evaluate') {
+          return function(callback) {
+            recorder.evaluations.push({node: proxy, callback: callback});
+          };
+        }
+        return makeNode({type: 'get', target: spec, name: prop});
+      },
+      apply: function(target, thisArg, args) {
+        var call = {type: 'call', target: spec, args: args};
+        if (spec.type === 'get' && tracedMethods.indexOf(spec.name) !== -1) {
+          args.forEach(function(arg) {
+            if (typeof arg === 'function') {
+              var count = spec.name === 'iterate' ? 2 : Math.max(arg.length, 1);
+              var params = [];
+              for (var i = 0; i < count; i++) {
+                params.push(makeNode({type: 'param'}));
+              }
+              call.callback = {params: params.map(specOf), result: arg.apply(null, params)};
+            }
+          });
+        }
+        return makeNode(call);
+      }
+    });
+    return proxy;
+  }
+
+  function root(name) {
+    return makeNode({type: 'ref', name: name});
+  }
+
+  function record(kind) {
+    return function(params) {
+      recorder.exports.push({kind: kind, params: params});
+    };
+  }
+
+  return {
+    recorder: recorder,
+    literal: function(value) {
+      return makeNode({type: 'literal', value: value});
+    },
+    globals: {
+      ee: root('ee'),
+      Map: root('Map'),
+      ui: root('ui'),
+      gcc: root('gcc'),
+      training_data: root('training_data'),
+      Export: {
+        image: {toAsset: record('image.toAsset'), toDrive: record('image.toDrive')},
+        table: {toAsset: record('table.toAsset'), toDrive: record('table.toDrive')}
+      },
+      print: function() {
+        recorder.prints.push(Array.prototype.slice.call(arguments));
+      }
+    }
+  };
+}
+
+/**
+ * Returns the graph node behind a proxy
+ * @param {*} value - proxy returned by the stand-in
+ * @return {Object|undefined} node, undefined for plain values
+ */
+function specOf(value) {
+  return (typeof value === 'function' && value[NODE]) || undefined;
+}
+
+/**
+ * Returns the dotted path of a node reached only through property accesses from a root, e.g. 'ee.Filter.eq'
+ * @param {Object} spec - graph node
+ * @return {string|null} path or null
+ */
+function pathOf(spec) {
+  if (spec.type === 'ref') {
+    return spec.name;
+  }
+  if (spec.type === 'get') {
+    var parent = pathOf(spec.target);
+    return parent === null ? null : parent + '.' + spec.name;
+  }
+  return null;
+}
+
+//////////////////////
+/* Local Evaluation */
+//////////////////////
+
+/**
+ * Deterministic uniform random numbers in [0, 1) for randomColumn
+ * @param {number} seed - seed of the column
+ * @return {function(): number} generator
+ */
+function seededRandom(seed) {
+  var state = (seed * 2654435761) % 4294967296 || 1;
+  return function() {
+    state = (1664525 * state + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+}
+
+function isImage(value) {
+  return value && value.type === 'Image';
+}
+
+function isCollection(value) {
+  return value && value.type === 'FeatureCollection';
+}
+
+function features(value) {
+  return isCollection(value) ? value.features : value;
+}
+
+/**
+ * Applies a binary operation to numbers or band by band to pixels, masks are combined
+ * @param {*} left - number or pixel
+ * @param {*} right - number or single band pixel
+ * @param {function(number, number): number} operation - operation on numbers
+ * @return {*} number or pixel
+ */
+function binary(left, right, operation) {
+  if (!isImage(left) && !isImage(right)) {
+    return operation(left, right);
+  }
+  var rightValue = isImage(right) ? right.bands[Object.keys(right.bands)[0]] : right;
+  var leftImage = isImage(left) ? left : {type: 'Image', bands: {constant: left}, mask: true};
+  var bands = {};
+  Object.keys(leftImage.bands).forEach(function(name) {
+    bands[name] = operation(leftImage.bands[name], rightValue);
+  });
+  return {type: 'Image', bands: bands, mask: leftImage.mask && (!isImage(right) || right.mask)};
+}
+
+function unary(value, operation) {
+  return binary(value, 0, function(a) {
+    return operation(a);
+  });
+}
+
+function percentile(values, p) {
+  var sorted = values.slice().sort(function(a, b) {
+    return a - b;
+  });
+  var position = (sorted.length - 1) * p / 100;
+  var lower = Math.floor(position);
+  var upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+function applyReducer(reducer, values) {
+  var sum = values.reduce(function(total, value) {
+    return total + value;
+  }, 0);
+  switch (reducer.name) {
+    case 'sum':
+      return sum;
+    case 'mean':
+      return sum / values.length;
+    case 'min':
+      return Math.min.apply(null, values);
+    case 'max':
+      return Math.max.apply(null, values);
+    case 'mode':
+      var counts = {};
+      values.forEach(function(value) {
+        counts[value] = (counts[value] || 0) + 1;
+      });
+      return values.reduce(function(best, value) {
+        return counts[value] > counts[best] ? value : best;
+      }, values[0]);
+    default:
+      throw new Error('Reducer not supported by the mock: ' + reducer.name);
+  }
+}
+
+function compare(operation) {
+  return function(name, value) {
+    return function(feature) {
+      return operation(feature.properties[name], value) ? 1 : 0;
+    };
+  };
+}
+
+function reducer(name) {
+  return function(args) {
+    return {type: 'Reducer', name: name, args: args};
+  };
+}
+
+/* Constructors and static functions, keyed by their path */
+var statics = {
+  'ee.Number': function(value) {
+    return value;
+  },
+  'ee.String': function(value) {
+    return value;
+  },
+  'ee.List': function(value) {
+    return value;
+  },
+  'ee.Dictionary': function(value) {
+    return value;
+  },
+  'ee.Feature': function(geometry, properties) {
+    if (geometry && geometry.type === 'Feature') {
+      return geometry;
+    }
+    return {type: 'Feature', properties: Object.assign({}, properties)};
+  },
+  'ee.FeatureCollection': function(value) {
+    if (isCollection(value)) {
+      return value;
+    }
+    return {type: 'FeatureCollection', features: value.map(features).reduce(function(all, item) {
+      return all.concat(item);
+    }, [])};
+  },
+  'ee.List.sequence': function(start, end, step) {
+    var list = [];
+    for (var value = start; value <= end; value += step || 1) {
+      list.push(value);
+    }
+    return list;
+  },
+  'ee.Algorithms.If': function(condition, whenTrue, whenFalse) {
+    return condition ? whenTrue : whenFalse;
+  },
+  'ee.Filter.eq': compare(function(a, b) {
+    return a === b;
+  }),
+  'ee.Filter.neq': compare(function(a, b) {
+    return a !== b;
+  }),
+  'ee.Filter.lt': compare(function(a, b) {
+    return a < b;
+  }),
+  'ee.Filter.lte': compare(function(a, b) {
+    return a <= b;
+  }),
+  'ee.Filter.gt': compare(function(a, b) {
+    return a > b;
+  }),
+  'ee.Filter.gte': compare(function(a, b) {
+    return a >= b;
+  }),
+  'ee.Filter.and': function() {
+    var filters = Array.prototype.slice.call(arguments);
+    return function(feature) {
+      return filters.every(function(filter) {
+        return filter(feature);
+      }) ? 1 : 0;
+    };
+  },
+  /* A single pixel has no neighbours, so its terrain is flat */
+  'ee.Terrain.slope': function() {
+    return {type: 'Image', bands: {slope: 0}, mask: true};
+  },
+  'ee.Reducer.sum': reducer('sum'),
+  'ee.Reducer.mean': reducer('mean'),
+  'ee.Reducer.min': reducer('min'),
+  'ee.Reducer.max': reducer('max'),
+  'ee.Reducer.mode': reducer('mode'),
+  'ee.Reducer.percentile': reducer('percentile')
+};
+
+/* Instance methods, called with the evaluated receiver, the evaluated arguments and a callback runner */
+var methods = {
+  // Numbers and pixels
+  add: function(a, b) {
+    return binary(a, b, function(x, y) {
+      return x + y;
+    });
+  },
+  subtract: function(a, b) {
+    return binary(a, b, function(x, y) {
+      return x - y;
+    });
+  },
+  multiply: function(a, b) {
+    return binary(a, b, function(x, y) {
+      return x * y;
+    });
+  },
+  divide: function(a, b) {
+    return binary(a, b, function(x, y) {
+      return x / y;
+    });
+  },
+  min: function(a, b) {
+    return binary(a, b, Math.min);
+  },
+  max: function(a, b) {
+    return binary(a, b, Math.max);
+  },
+  gt: function(a, b) {
+    return binary(a, b, function(x, y) {
+      return x > y ? 1 : 0;
+    });
+  },
+  gte: function(a, b) {
+    return binary(a, b, function(x, y) {
+      return x >= y ? 1 : 0;
+    });
+  },
+  lt: function(a, b) {
+    return binary(a, b, function(x, y) {
+      return x < y ? 1 : 0;
+    });
+  },
+  lte: function(a, b) {
+    return binary(a, b, function(x, y) {
+      return x <= y ? 1 : 0;
+    });
+  },
+  eq: function(a, b) {
+    return binary(a, b, function(x, y) {
+      return x === y ? 1 : 0;
+    });
+  },
+  neq: function(a, b) {
+    return binary(a, b, function(x, y) {
+      return x !== y ? 1 : 0;
+    });
+  },
+  and: function(a, b) {
+    return binary(a, b, function(x, y) {
+      return x && y ? 1 : 0;
+    });
+  },
+  or: function(a, b) {
+    return binary(a, b, function(x, y) {
+      return x || y ? 1 : 0;
+    });
+  },
+  bitwiseAnd: function(a, b) {
+    return binary(a, b, function(x, y) {
+      return x & y;
+    });
+  },
+  not: function(a) {
+    return unary(a, function(x) {
+      return x ? 0 : 1;
+    });
+  },
+  abs: function(a) {
+    return unary(a, Math.abs);
+  },
+  floor: function(a) {
+    return unary(a, Math.floor);
+  },
+  round: function(a) {
+    return unary(a, Math.round);
+  },
+  int: function(a) {
+    return unary(a, Math.trunc);
+  },
+  toFloat: function(a) {
+    return a;
+  },
+  toByte: function(a) {
+    return a;
+  },
+  format: function(a, pattern) {
+    if (pattern === '%d' && !Number.isInteger(a)) {
+      throw new Error('format %d of a non-integer number: ' + a);
+    }
+    return String(a);
+  },
+
+  // Pixels
+  select: function(image, names, newNames) {
+    names = [].concat(names);
+    newNames = newNames ? [].concat(newNames) : names;
+    var bands = {};
+    names.forEach(function(name, i) {
+      if (!(name in image.bands)) {
+        throw new Error('Band not found: ' + name);
+      }
+      bands[newNames[i]] = image.bands[name];
+    });
+    return {type: 'Image', bands: bands, mask: image.mask};
+  },
+  updateMask: function(image, mask) {
+    var value = isImage(mask) ? mask.mask && mask.bands[Object.keys(mask.bands)[0]] !== 0 : mask !== 0;
+    return {type: 'Image', bands: image.bands, mask: image.mask && value};
+  },
+  mask: function(image) {
+    var bands = {};
+    Object.keys(image.bands).forEach(function(name) {
+      bands[name] = image.mask ? 1 : 0;
+    });
+    return {type: 'Image', bands: bands, mask: true};
+  },
+  rename: function(image, names) {
+    names = [].concat(names);
+    var bands = {};
+    Object.keys(image.bands).forEach(function(name, i) {
+      bands[names[i]] = image.bands[name];
+    });
+    return {type: 'Image', bands: bands, mask: image.mask};
+  },
+  addBands: function(image, others, names, overwrite) {
+    var bands = Object.assign({}, image.bands);
+    [].concat(others).forEach(function(other) {
+      Object.keys(other.bands).forEach(function(name) {
+        var target = name;
+        while (!overwrite && target in bands) {
+          target = target + '_1';
+        }
+        bands[target] = other.bands[name];
+      });
+    });
+    return {type: 'Image', bands: bands, mask: image.mask};
+  },
+  expression: function(image, formula, variables) {
+    var names = Object.keys(variables);
+    var values = names.map(function(name) {
+      var variable = variables[name];
+      return isImage(variable) ? variable.bands[Object.keys(variable.bands)[0]] : variable;
+    });
+    /* Earth Engine expressions share the arithmetic, comparison and ternary syntax of JavaScript */
+    var value = Function.apply(null, names.concat('return ' + formula + ';')).apply(null, values);
+    return {type: 'Image', bands: {constant: Number(value)}, mask: image.mask};
+  },
+
+  // Features
+  get: function(receiver, key, fallback) {
+    if (receiver && receiver.type === 'Feature') {
+      return key in receiver.properties ? receiver.properties[key] : null;
+    }
+    if (Array.isArray(receiver)) {
+      return receiver[key];
+    }
+    if (key in receiver) {
+      return receiver[key];
+    }
+    if (fallback === undefined) {
+      throw new Error('Dictionary does not contain key: ' + key);
+    }
+    return fallback;
+  },
+  set: function(feature, key, value) {
+    var properties = Object.assign({}, feature.properties);
+    if (typeof key === 'object') {
+      Object.assign(properties, key);
+    } else {
+      properties[key] = value;
+    }
+    return {type: 'Feature', properties: properties};
+  },
+  toDictionary: function(feature) {
+    return Object.assign({}, feature.properties);
+  },
+
+  // Collections and lists
+  filter: function(collection, filter) {
+    return {type: 'FeatureCollection', features: features(collection).filter(function(feature) {
+      return filter(feature);
+    })};
+  },
+  size: function(value) {
+    return features(value).length;
+  },
+  aggregate_array: function(collection, name) {
+    return features(collection).map(function(feature) {
+      return feature.properties[name];
+    });
+  },
+  aggregate_histogram: function(collection, name) {
+    var histogram = {};
+    features(collection).forEach(function(feature) {
+      var key = String(feature.properties[name]);
+      histogram[key] = (histogram[key] || 0) + 1;
+    });
+    return histogram;
+  },
+  randomColumn: function(collection, name, seed) {
+    var random = seededRandom(seed === undefined ? 0 : seed);
+    return {type: 'FeatureCollection', features: features(collection).map(function(feature) {
+      return methods.set(feature, name || 'random', random());
+    })};
+  },
+  reduceColumns: function(collection, reducer, selectors) {
+    var values = methods.aggregate_array(collection, selectors[0]);
+    if (reducer.name !== 'percentile') {
+      return {mean: applyReducer(reducer, values)};
+    }
+    var result = {};
+    reducer.args.percentiles.forEach(function(p, i) {
+      result[reducer.args.outputNames[i]] = percentile(values, p);
+    });
+    return result;
+  },
+  flatten: function(value) {
+    if (isCollection(value)) {
+      return value;
+    }
+    return value.reduce(function(all, item) {
+      return all.concat(Array.isArray(item) ? item : features(item));
+    }, []);
+  },
+  distinct: function(list) {
+    return list.filter(function(value, i) {
+      return list.indexOf(value) === i;
+    });
+  },
+  contains: function(list, value) {
+    return list.indexOf(value) !== -1 ? 1 : 0;
+  },
+  frequency: function(list, value) {
+    return list.filter(function(item) {
+      return item === value;
+    }).length;
+  },
+  reduce: function(value, reducerValue) {
+    if (isImage(value)) {
+      var bandValues = Object.keys(value.bands).map(function(name) {
+        return value.bands[name];
+      });
+      return {type: 'Image', bands: {constant: applyReducer(reducerValue, bandValues)}, mask: value.mask};
+    }
+    return applyReducer(reducerValue, value);
+  },
+  values: function(dictionary, keys) {
+    return (keys || Object.keys(dictionary)).map(function(key) {
+      return dictionary[key];
+    });
+  },
+  keys: function(dictionary) {
+    return Object.keys(dictionary);
+  }
+};
+
+/**
+ * Evaluates a value of the recorded graph
+ * @param {*} value - proxy, plain value or array/object containing proxies
+ * @param {Map} [bindings] - values of graph nodes keyed by node, e.g. of the nodes an input is built from
+ * @return {*} evaluated value
+ */
+function evaluate(value, bindings) {
+  bindings = bindings || new Map();
+  var spec = specOf(value);
+  if (spec) {
+    return evaluateNode(spec, bindings);
+  }
+  if (Array.isArray(value)) {
+    return value.map(function(item) {
+      return evaluate(item, bindings);
+    });
+  }
+  /* Objects of the script contexts have the Object.prototype of their own realm */
+  if (Object.prototype.toString.call(value) === '[object Object]') {
+    var result = {};
+    Object.keys(value).forEach(function(key) {
+      result[key] = evaluate(value[key], bindings);
+    });
+    return result;
+  }
+  return value;
+}
+
+function evaluateNode(spec, bindings) {
+  if (bindings.has(spec)) {
+    return bindings.get(spec);
+  }
+  if (spec.type === 'literal') {
+    return spec.value;
+  }
+  if (spec.type !== 'call') {
+    throw new Error('Unbound node: ' + (pathOf(spec) || spec.type));
+  }
+
+  var path = pathOf(spec.target);
+  if (path !== null) {
+    if (!statics[path]) {
+      throw new Error('Function not supported by the mock: ' + path);
+    }
+    return statics[path].apply(null, evaluate(spec.args, bindings));
+  }
+
+  var name = spec.target.name;
+  var receiver = evaluateNode(spec.target.target, bindings);
+  if (name === 'map') {
+    return mapValues(receiver, spec.callback, bindings);
+  }
+  if (!methods[name]) {
+    throw new Error('Method not supported by the mock: ' + name);
+  }
+  return methods[name].apply(null, [receiver].concat(evaluate(spec.args, bindings)));
+}
+
+function mapValues(receiver, callback, bindings) {
+  var run = function(item) {
+    var scope = new Map(bindings);
+    scope.set(callback.params[0], item);
+    return evaluate(callback.result, scope);
+  };
+  if (isCollection(receiver)) {
+    return {type: 'FeatureCollection', features: receiver.features.map(run)};
+  }
+  return receiver.map(run);
+}
+
+/**
+ * Binds graph nodes to values for evaluate()
+ * @param {Array<Array>} pairs - [proxy, value] pairs
+ * @return {Map} bindings
+ */
+function bind(pairs) {
+  return new Map(pairs.map(function(pair) {
+    return [specOf(pair[0]), pair[1]];
+  }));
+}
+
+/**
+ * Creates a pixel value for evaluate()
+ * @param {Object} bands - band values keyed by band name
+ * @return {Object} unmasked pixel
+ */
+function pixel(bands) {
+  return {type: 'Image', bands: Object.assign({}, bands), mask: true};
+}
+
+/**
+ * Creates a feature collection value for evaluate()
+ * @param {Array<Object>} rows - feature properties
+ * @return {Object} feature collection
+ */
+function collection(rows) {
+  return {type: 'FeatureCollection', features: rows.map(function(properties) {
+    return {type: 'Feature', properties: Object.assign({}, properties)};
+  })};
+}
+
+module.exports = {
+  createGraph: createGraph,
+  evaluate: evaluate,
+  bind: bind,
+  pixel: pixel,
+  collection: collection,
+  specOf: specOf,
+  pathOf: pathOf
+};
@@ -0,0 +1,101 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var fs = require('fs');
+var path = require('path');
+var mockEe = require('./mock_ee');
+var loadModule = require('./load_script').loadModule;
+var loadScript = require('./load_script').loadScript;
+var exportsOf = require('./load_script').exportsOf;
+
+var regression = loadModule('gcc_lulc_regression');
+var covariates = ['precipitation', 'temperature', 'pdsi', 'dmspLights', 'viirsLights', 'viirsPeriod', 'distArtificial'];
+var rows = regression.parseCsv(fs.readFileSync(path.join(__dirname, 'fixtures', 'covariate_table_ndvi.csv'), 'utf8'));
+
+/**
+ * Finds the result of a term in a zone
+ * @param {Array<Object>} results - fitZones results
+ * @param {string} zone - zone name
+ * @param {string} term - covariate name or 'constant'
+ * @return {Object} result row
+ */
+function termOf(results, zone, term) {
+  return results.filter(function(result) {
+    return result.zone === zone && result.term === term;
+  })[0];
+}
+
+test('parseCsv reads numbers and text', function() {
+  assert.strictEqual(rows.length, 60);
+  assert.strictEqual(rows[0].ADM0_NAME, 'Bahrain');
+  assert.strictEqual(typeof rows[0].precipitation, 'number');
+});
+
+test('tTestPValue follows the Student t distribution', function() {
+  assert.ok(Math.abs(regression.tTestPValue(2.064, 24) - 0.05) < 1e-3);
+  assert.ok(Math.abs(regression.tTestPValue(1.96, 1e6) - 0.05) < 1e-3);
+  assert.strictEqual(regression.tTestPValue(0, 10), 1);
+});
+
+test('invert rejects singular matrices', function() {
+  assert.throws(function() {
+    regression.invert([[1, 2], [2, 4]]);
+  }, /Singular matrix/);
+});
+
+test('fitZones recovers the coefficients of every zone', function() {
+  var results = regression.fitZones(rows, 'ADM0_NAME', 'response', covariates);
+  assert.strictEqual(results.length, 2 * (covariates.length + 1));
+  ['Bahrain', 'Qatar'].forEach(function(zone) {
+    var precipitation = termOf(results, zone, 'precipitation');
+    assert.ok(Math.abs(precipitation.coefficient - 0.0008) < 1e-4, zone + ' precipitation');
+    assert.ok(Math.abs(termOf(results, zone, 'temperature').coefficient + 0.01) < 2e-3, zone + ' temperature');
+    assert.strictEqual(precipitation.n, 30);
+    assert.strictEqual(precipitation.dof, 22);
+    assert.ok(precipitation.pValue < 0.01);
+    assert.ok(precipitation.r2 > 0.9 && precipitation.r2 <= 1);
+  });
+});
+
+test('fitZones reports the zones it cannot fit', function() {
+  var constantPdsi = rows.map(function(row) {
+    return Object.assign({}, row, row.ADM0_NAME === 'Qatar' ? {pdsi: 1} : {});
+  });
+  var results = regression.fitZones(constantPdsi.slice(0, 35), 'ADM0_NAME', 'response', covariates);
+  assert.strictEqual(results.length, covariates.length + 2);
+  assert.ok(/^Not enough rows/.test(results[results.length - 1].skipReason));
+  results = regression.fitZones(constantPdsi, 'ADM0_NAME', 'response', covariates);
+  assert.strictEqual(results[results.length - 1].zone, 'Qatar');
+  assert.ok(/^Singular matrix/.test(results[results.length - 1].skipReason));
+});
+
+test('fitZones does not hide other errors', function() {
+  assert.throws(function() {
+    regression.fitZones(rows, 'ADM0_NAME', 'response', 'precipitation');
+  }, TypeError);
+});
+
+test('script 8 exports the regression of the evaluated zonal table', function() {
+  var script = loadScript('gcc_lulc_8_covariate_attribution.js');
+  assert.strictEqual(script.recorder.evaluations.length, 1);
+  assert.strictEqual(exportsOf(script, 'table.toDrive')[0].description, 'covariate_table_ndvi_1987_2021');
+
+  script.recorder.evaluations[0].callback(mockEe.collection(rows));
+  var regressionExport = exportsOf(script, 'table.toDrive')[1];
+  assert.strictEqual(regressionExport.description, 'covariate_regression_ndvi_1987_2021');
+  assert.strictEqual(regressionExport.folder, 'GCC_LULC');
+  assert.ok(regressionExport.selectors.indexOf('dof') !== -1);
+  assert.ok(regressionExport.selectors.indexOf('skipReason') !== -1);
+  var table = mockEe.evaluate(regressionExport.collection);
+  assert.strictEqual(table.features.length, 16);
+  assert.strictEqual(table.features[0].properties.response, 'ndvi');
+});
+
+test('script 8 reports a failed evaluation of the zonal table', function() {
+  var script = loadScript('gcc_lulc_8_covariate_attribution.js');
+  script.recorder.evaluations[0].callback(undefined, 'Computation timed out.');
+  assert.strictEqual(exportsOf(script, 'table.toDrive').length, 1);
+  assert.strictEqual(script.recorder.prints.length, 1);
+  assert.ok(JSON.stringify(script.recorder.prints[0]).indexOf('Computation timed out.') !== -1);
+});